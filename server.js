@@ -1,29 +1,87 @@
 require('dotenv').config();
-const AUTH_TOKEN = process.env.AUTH_TOKEN || 'weibo-proxy';
+const DEFAULT_AUTH_TOKEN = 'weibo-proxy';
+const ALLOW_DEFAULT_TOKEN = process.env.ALLOW_DEFAULT_TOKEN === 'true';
+const AUTH_TOKEN = process.env.AUTH_TOKEN || (ALLOW_DEFAULT_TOKEN ? DEFAULT_AUTH_TOKEN : '');
 const express = require('express');
 const cors = require('cors');
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { setTimeout: sleep } = require('timers/promises');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { fileURLToPath } = require('url');
+const multer = require('multer');
+const promClient = require('prom-client');
+const { XMLParser } = require('fast-xml-parser');
 const { chromium } = require('playwright');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// ========================= 日志 =========================
+// LOG_LEVEL 控制输出级别，LOG_FORMAT=json 时每行输出一个 JSON 对象，便于日志系统解析
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+
+// 保存当前 HTTP 请求的 requestId，经请求队列传递到登录、发送等操作中
+const requestContext = new AsyncLocalStorage();
+
+function writeLog(level, args) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+    const context = requestContext.getStore() || {};
+    const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+    const message = util.format(...args);
+
+    if (LOG_FORMAT === 'json') {
+        const tag = message.match(/^(?:\S+\s)?\[([^\]]+)\]/)?.[1];
+        stream.write(JSON.stringify({
+            time: new Date().toISOString(),
+            level,
+            ...(tag ? { tag } : {}),
+            msg: message,
+            ...(context.requestId ? { requestId: context.requestId } : {}),
+            ...(context.operation ? { operation: context.operation } : {})
+        }) + '\n');
+    } else {
+        stream.write((context.requestId ? `[${context.requestId}] ` : '') + message + '\n');
+    }
+}
+
+function logDebug(...args) {
+    writeLog('debug', args);
+}
+
 function logWithFlush(...args) {
-    console.log(...args);
-    if (process.stdout.write) process.stdout.write('');
+    writeLog('info', args);
+}
+
+function logWarnWithFlush(...args) {
+    writeLog('warn', args);
 }
 
 function logErrorWithFlush(...args) {
-    console.error(...args);
-    if (process.stderr.write) process.stderr.write('');
+    writeLog('error', args);
 }
 
 // ========================= 内存监控 =========================
+// 内存阈值，单位 MB；超过上限时回收常驻的发布页
+const MEMORY_RSS_WARN_MB = 350;
+const MEMORY_RSS_LIMIT_MB = 400;
+const MEMORY_HEAP_LIMIT_MB = 300;
+
+// 记录内存状态并告警，返回是否超过上限
 function logMemoryUsage(context = '') {
     const memUsage = process.memoryUsage();
     const formatMB = (bytes) => Math.round(bytes / 1024 / 1024);
     
-    logWithFlush(
+    logDebug(
         `[内存监控${context ? ' - ' + context : ''}] ` +
         `堆使用: ${formatMB(memUsage.heapUsed)}MB / ${formatMB(memUsage.heapTotal)}MB | ` +
         `RSS: ${formatMB(memUsage.rss)}MB | ` +
@@ -34,15 +92,16 @@ function logMemoryUsage(context = '') {
     const heapUsedMB = formatMB(memUsage.heapUsed);
     const rssMB = formatMB(memUsage.rss);
     
-    if (rssMB > 400) {
-        logErrorWithFlush(`⚠️ [内存告警] RSS内存使用过高: ${rssMB}MB (>400MB)`);
-    } else if (rssMB > 350) {
-        logWithFlush(`⚠️ [内存警告] RSS内存接近限制: ${rssMB}MB`);
+    if (rssMB > MEMORY_RSS_LIMIT_MB) {
+        logErrorWithFlush(`⚠️ [内存告警] RSS内存使用过高: ${rssMB}MB (>${MEMORY_RSS_LIMIT_MB}MB)`);
+    } else if (rssMB > MEMORY_RSS_WARN_MB) {
+        logWarnWithFlush(`⚠️ [内存警告] RSS内存接近限制: ${rssMB}MB`);
     }
     
-    if (heapUsedMB > 300) {
-        logErrorWithFlush(`⚠️ [内存告警] 堆内存使用过高: ${heapUsedMB}MB (>300MB)`);
+    if (heapUsedMB > MEMORY_HEAP_LIMIT_MB) {
+        logErrorWithFlush(`⚠️ [内存告警] 堆内存使用过高: ${heapUsedMB}MB (>${MEMORY_HEAP_LIMIT_MB}MB)`);
     }
+    return rssMB > MEMORY_RSS_LIMIT_MB || heapUsedMB > MEMORY_HEAP_LIMIT_MB;
 }
 
 function performGC(context = '') {
@@ -57,41 +116,248 @@ function performGC(context = '') {
             const after = process.memoryUsage();
             const afterHeap = Math.round(after.heapUsed / 1024 / 1024);
             const freed = beforeHeap - afterHeap;
+            metrics.gcRuns.inc();
+            metrics.gcFreed.inc(Math.max(0, before.heapUsed - after.heapUsed));
             
             logWithFlush(`[GC${context ? ' - ' + context : ''}] 完成 - 释放: ${freed}MB (${beforeHeap}MB -> ${afterHeap}MB)`);
         } catch (error) {
             logErrorWithFlush(`[GC${context ? ' - ' + context : ''}] 执行失败:`, error.message);
         }
     } else {
-        logWithFlush(`[GC${context ? ' - ' + context : ''}] 跳过 - GC 未启用`);
+        logDebug(`[GC${context ? ' - ' + context : ''}] 跳过 - GC 未启用`);
     }
 }
 
+// ========================= 监控指标 =========================
+const metricsRegistry = new promClient.Registry();
+// 进程内存、CPU、事件循环延迟和 V8 GC 耗时等默认指标
+promClient.collectDefaultMetrics({ register: metricsRegistry });
+
+const metrics = {
+    queueLength: new promClient.Gauge({
+        name: 'weibo_proxy_queue_length',
+        help: '请求队列中等待执行的任务数',
+        registers: [metricsRegistry],
+        collect() {
+            this.set(requestQueue.queue.length);
+        }
+    }),
+    queueWait: new promClient.Histogram({
+        name: 'weibo_proxy_queue_wait_seconds',
+        help: '任务从入队到开始执行的等待时间',
+        labelNames: ['operation'],
+        buckets: [0.01, 0.1, 0.5, 1, 5, 15, 30, 60, 120, 300],
+        registers: [metricsRegistry]
+    }),
+    operationDuration: new promClient.Histogram({
+        name: 'weibo_proxy_operation_duration_seconds',
+        help: '队列任务的执行时间，按结果区分',
+        labelNames: ['operation', 'outcome'],
+        buckets: [0.1, 0.5, 1, 2, 5, 10, 20, 40, 60, 120],
+        registers: [metricsRegistry]
+    }),
+    retries: new promClient.Counter({
+        name: 'weibo_proxy_retries_total',
+        help: '各操作重试循环中的重试次数',
+        labelNames: ['operation'],
+        registers: [metricsRegistry]
+    }),
+    browserLaunches: new promClient.Counter({
+        name: 'weibo_proxy_browser_launches_total',
+        help: '启动浏览器进程的次数',
+        registers: [metricsRegistry]
+    }),
+    browserIdleShutdowns: new promClient.Counter({
+        name: 'weibo_proxy_browser_idle_shutdowns_total',
+        help: '因空闲关闭浏览器的次数',
+        registers: [metricsRegistry]
+    }),
+    browserRunning: new promClient.Gauge({
+        name: 'weibo_proxy_browser_running',
+        help: '浏览器进程是否在运行',
+        registers: [metricsRegistry],
+        collect() {
+            this.set(browserManager.browser ? 1 : 0);
+        }
+    }),
+    browserWarmPages: new promClient.Gauge({
+        name: 'weibo_proxy_browser_warm_pages',
+        help: '常驻的发布页数量',
+        registers: [metricsRegistry],
+        collect() {
+            this.set(browserManager.warmPages.size);
+        }
+    }),
+    browserContexts: new promClient.Gauge({
+        name: 'weibo_proxy_browser_contexts',
+        help: '打开的浏览器上下文数量',
+        registers: [metricsRegistry],
+        collect() {
+            this.set(browserManager.contexts.size);
+        }
+    }),
+    loggedIn: new promClient.Gauge({
+        name: 'weibo_proxy_account_logged_in',
+        help: '账号是否处于登录状态',
+        labelNames: ['account'],
+        registers: [metricsRegistry],
+        collect() {
+            this.reset();
+            for (const account of accountRegistry.list()) {
+                this.set({ account: account.id }, account.isLoggedIn ? 1 : 0);
+            }
+        }
+    }),
+    gcRuns: new promClient.Counter({
+        name: 'weibo_proxy_manual_gc_runs_total',
+        help: '主动触发垃圾回收的次数',
+        registers: [metricsRegistry]
+    }),
+    gcFreed: new promClient.Counter({
+        name: 'weibo_proxy_manual_gc_freed_bytes_total',
+        help: '主动垃圾回收释放的堆内存',
+        registers: [metricsRegistry]
+    }),
+    directRequests: new promClient.Counter({
+        name: 'weibo_proxy_direct_requests_total',
+        help: 'HTTP 直连调用站内接口的次数，outcome 为 success/fallback/failure',
+        labelNames: ['operation', 'outcome'],
+        registers: [metricsRegistry]
+    }),
+    queueTimeouts: new promClient.Counter({
+        name: 'weibo_proxy_queue_timeouts_total',
+        help: '队列任务执行超时的次数',
+        labelNames: ['operation'],
+        registers: [metricsRegistry]
+    }),
+    queueCancellations: new promClient.Counter({
+        name: 'weibo_proxy_queue_cancellations_total',
+        help: '队列任务在开始前被取消的次数，reason 为 disconnect/manual',
+        labelNames: ['operation', 'reason'],
+        registers: [metricsRegistry]
+    })
+};
+
 // ========================= 请求队列管理器 =========================
+// 优先级：登录和状态检查插到批量发送前面；同一优先级内先进先出
+const QUEUE_PRIORITIES = { high: 0, normal: 1, low: 2 };
+const OPERATION_PRIORITIES = {
+    checkLoginStatus: 'high',
+    getQRCode: 'high',
+    checkScanStatus: 'high',
+    logout: 'high',
+    exportSession: 'high',
+    importSession: 'high',
+    deleteAccount: 'high',
+    feedPost: 'low',
+    deletePosts: 'low',
+    sessionKeepAlive: 'low',
+    sessionKeepAliveCleanup: 'low',
+    warmBrowser: 'low'
+};
+const QUEUE_TIMEOUT = (parseFloat(process.env.QUEUE_TIMEOUT_SECONDS) || 180) * 1000;
+// 超时后等待卡住的操作退出的时间；不理会中止信号的操作超过这个时间后不再等待，强制重置浏览器后继续处理下一个任务
+const QUEUE_TIMEOUT_GRACE = 10000;
+
+// 带视频的发送需要等待上传完成，执行时限相应放宽；频率限制的等待在入队前完成，不计入
+function publishTimeout(video) {
+    return video ? QUEUE_TIMEOUT + VIDEO_UPLOAD_TIMEOUT : QUEUE_TIMEOUT;
+}
+
+// 批量删除按条数放宽执行时限，最多为基础时限的 10 倍
+const DELETE_TIMEOUT_PER_POST = 30 * 1000;
+
+function deletePostsTimeout(params) {
+    const count = postHistory.listPublished(params).length;
+    return Math.min(QUEUE_TIMEOUT + count * DELETE_TIMEOUT_PER_POST, QUEUE_TIMEOUT * 10);
+}
+
+// 任务超时或被取消，status 为返回给客户端的状态码
+class QueueTaskError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'QueueTaskError';
+        this.status = status;
+    }
+}
+
+function queueErrorStatus(error) {
+    return error instanceof QueueTaskError ? error.status : 500;
+}
+
+// 队列任务超时后 taskSignal 被触发，卡住的操作在重试、启动浏览器、点击发送和发出请求前停下
+function taskAborted() {
+    return Boolean(requestContext.getStore()?.taskSignal?.aborted);
+}
+
+function throwIfTaskAborted() {
+    const signal = requestContext.getStore()?.taskSignal;
+    if (signal?.aborted) throw signal.reason;
+}
+
 class RequestQueue {
-    constructor() {
+    constructor({ timeoutGrace = QUEUE_TIMEOUT_GRACE } = {}) {
+        this.timeoutGrace = timeoutGrace;
         this.queue = [];
         this.processing = false;
         this.currentOperation = null;
+        this.currentTask = null;
     }
 
-    async enqueue(operation, operationName = 'unknown') {
+    // signal 默认取当前 HTTP 请求的，客户端断开时取消尚未开始的任务；后台任务传 signal: null。
+    // operation 执行时收到任务自己的 AbortSignal，超时后触发（请求上下文中的 taskSignal 与它相同）
+    async enqueue(operation, operationName = 'unknown', options = {}) {
+        const context = requestContext.getStore();
+        const {
+            priority = OPERATION_PRIORITIES[operationName] || 'normal',
+            timeout = QUEUE_TIMEOUT,
+            signal = context?.signal
+        } = options;
+
         return new Promise((resolve, reject) => {
             const task = {
+                id: crypto.randomUUID(),
                 operation,
                 operationName,
+                priority,
+                timeout,
                 resolve,
                 reject,
+                // 入队时的请求上下文，执行时恢复，日志中才能带上同一个 requestId
+                context,
                 timestamp: Date.now()
             };
-            
-            this.queue.push(task);
-            logWithFlush(`[队列] 任务入队: ${operationName} (队列长度: ${this.queue.length})`);
-            
+
+            if (signal) {
+                if (signal.aborted) {
+                    return reject(new QueueTaskError('客户端已断开，任务已取消', 499));
+                }
+                const onAbort = () => this.cancel(task.id, new QueueTaskError('客户端已断开，任务已取消', 499));
+                signal.addEventListener('abort', onAbort, { once: true });
+                task.detach = () => signal.removeEventListener('abort', onAbort);
+            }
+
+            const index = this.queue.findIndex(queued => QUEUE_PRIORITIES[queued.priority] > QUEUE_PRIORITIES[priority]);
+            this.queue.splice(index === -1 ? this.queue.length : index, 0, task);
+            logWithFlush(`[队列] 任务入队: ${operationName} (优先级: ${priority}, 队列长度: ${this.queue.length})`);
+
             this.processQueue();
         });
     }
 
+    // 只能取消尚未开始的任务，返回是否取消成功
+    cancel(id, error = new QueueTaskError('任务已被取消', 409)) {
+        const index = this.queue.findIndex(task => task.id === id);
+        if (index === -1) return false;
+
+        const [task] = this.queue.splice(index, 1);
+        if (task.detach) task.detach();
+        metrics.queueCancellations.inc({ operation: task.operationName, reason: error.status === 499 ? 'disconnect' : 'manual' });
+        logWarnWithFlush(`[队列] 任务已取消: ${task.operationName} (${task.id}) - ${error.message}`);
+        task.reject(error);
+        return true;
+    }
+
     async processQueue() {
         if (this.processing || this.queue.length === 0) {
             return;
@@ -99,13 +365,36 @@ class RequestQueue {
 
         this.processing = true;
         const task = this.queue.shift();
+        if (task.detach) task.detach();
         this.currentOperation = task.operationName;
+        this.currentTask = { ...task, startedAt: Date.now() };
+        task.abortController = new AbortController();
+
+        try {
+            const context = { ...task.context, operation: task.operationName, taskSignal: task.abortController.signal };
+            await requestContext.run(context, () => this.runTask(task));
+        } finally {
+            this.currentOperation = null;
+            this.currentTask = null;
+            this.processing = false;
+            
+            if (this.queue.length > 0) {
+                logWithFlush(`[队列] 继续处理队列 (剩余: ${this.queue.length})`);
+                setImmediate(() => this.processQueue());
+            }
+        }
+    }
+
+    async runTask(task) {
+        metrics.queueWait.observe({ operation: task.operationName }, (Date.now() - task.timestamp) / 1000);
+        const endTimer = metrics.operationDuration.startTimer({ operation: task.operationName });
 
         try {
             logWithFlush(`[队列] 开始执行: ${task.operationName} (等待时间: ${Date.now() - task.timestamp}ms)`);
             logMemoryUsage(`执行前 - ${task.operationName}`);
             
-            const result = await task.operation();
+            const result = await this.runWithTimeout(task);
+            endTimer({ outcome: 'success' });
             task.resolve(result);
             
             logWithFlush(`[队列] 执行成功: ${task.operationName}`);
@@ -115,19 +404,80 @@ class RequestQueue {
             performGC(task.operationName);
             
         } catch (error) {
+            const timedOut = error instanceof QueueTaskError;
+            endTimer({ outcome: timedOut ? 'timeout' : 'failure' });
             logErrorWithFlush(`[队列] 执行失败: ${task.operationName}`, error.message);
             task.reject(error);
-        } finally {
-            this.currentOperation = null;
-            this.processing = false;
-            
-            if (this.queue.length > 0) {
-                logWithFlush(`[队列] 继续处理队列 (剩余: ${this.queue.length})`);
-                setImmediate(() => this.processQueue());
+
+            // 调用方已经收到超时错误，队列等卡住的操作退出后才继续，避免和下一个任务同时操作浏览器，
+            // 也保证重试时的重复检查能看到它的结果；等待有上限，一个卡死的操作不会挡住之后所有任务
+            if (timedOut) {
+                let graceTimer;
+                const exited = await Promise.race([
+                    task.running.then(() => true, () => true),
+                    new Promise(resolve => { graceTimer = setTimeout(() => resolve(false), this.timeoutGrace); })
+                ]);
+                clearTimeout(graceTimer);
+                if (exited) {
+                    logWithFlush(`[队列] 超时的操作已退出: ${task.operationName}`);
+                } else {
+                    logErrorWithFlush(`[队列] 超时的操作 ${Math.round(this.timeoutGrace / 1000)} 秒后仍未退出: ${task.operationName}，强制重置浏览器后继续`);
+                    await browserManager.recover(`${task.operationName} 超时后未退出`);
+                }
             }
         }
     }
 
+    // 超时后触发任务的 AbortSignal 并关闭浏览器，让卡住的操作尽快出错退出。
+    // 超时前可能已经点击发送或发出请求，结果未知，带幂等键的重试会先确认是否已经发出
+    async runWithTimeout(task) {
+        const timeoutError = new QueueTaskError(`操作超时 (${Math.round(task.timeout / 1000)} 秒)，结果未知`, 504);
+        task.running = Promise.resolve().then(() => task.operation(task.abortController.signal));
+        let timer;
+        const timedOut = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(timeoutError), task.timeout);
+        });
+
+        try {
+            return await Promise.race([task.running, timedOut]);
+        } catch (error) {
+            if (error !== timeoutError) throw error;
+
+            metrics.queueTimeouts.inc({ operation: task.operationName });
+            logErrorWithFlush(`[队列] 操作超时: ${task.operationName} (${task.id})，重置浏览器`);
+            task.abortController.abort(timeoutError);
+            await browserManager.recover(`${task.operationName} 超时`);
+            throw timeoutError;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    list() {
+        const now = Date.now();
+        const current = this.currentTask;
+        return {
+            running: current ? {
+                id: current.id,
+                operation: current.operationName,
+                priority: current.priority,
+                requestId: current.context?.requestId || null,
+                startedAt: new Date(current.startedAt).toISOString(),
+                runningMs: now - current.startedAt,
+                timeoutMs: current.timeout
+            } : null,
+            pending: this.queue.map((task, index) => ({
+                id: task.id,
+                position: index + 1,
+                operation: task.operationName,
+                priority: task.priority,
+                requestId: task.context?.requestId || null,
+                enqueuedAt: new Date(task.timestamp).toISOString(),
+                waitMs: now - task.timestamp
+            }))
+        };
+    }
+
     getStatus() {
         return {
             queueLength: this.queue.length,
@@ -140,31 +490,86 @@ class RequestQueue {
 const requestQueue = new RequestQueue();
 
 // ========================= 浏览器资源管理器 =========================
+// 所有账号共享一个 Chromium 进程，每个账号使用独立的浏览器上下文
+// HTTP 直连时也使用同一个 User-Agent
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// 生命周期：idle 空闲后关闭浏览器；warm 始终保持浏览器和发布页；schedule 在预热时段内保持，其余时间同 idle
+const BROWSER_LIFECYCLES = ['idle', 'warm', 'schedule'];
+const BROWSER_LIFECYCLE = BROWSER_LIFECYCLES.includes(process.env.BROWSER_LIFECYCLE) ? process.env.BROWSER_LIFECYCLE : 'idle';
+const BROWSER_IDLE_TIMEOUT = (parseFloat(process.env.BROWSER_IDLE_TIMEOUT_MINUTES) || 2) * 60 * 1000;
+// 常驻发布页超过该时间后，下次使用前先刷新
+const WARM_PAGE_MAX_AGE = 30 * 60 * 1000;
+const WARM_RETRY_DELAY = 10 * 60 * 1000;
+
+// 解析预热时段，多个时段用分号分隔，如 "1-5 09:00-18:00; 6,7 10:00-14:00"：星期 1-7 为周一到周日，省略表示每天，按服务器本地时间；可跨午夜
+function parseWarmWindows(spec) {
+    return String(spec || '').split(';').reduce((windows, part) => {
+        const text = part.trim();
+        if (!text) return windows;
+        const match = text.match(/^(?:([1-7](?:-[1-7])?(?:\s*,\s*[1-7](?:-[1-7])?)*)\s+)?(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+        if (!match) throw new Error(`预热时段格式错误: ${text}`);
+        const [, dayText, startHour, startMinute, endHour, endMinute] = match;
+        const start = Number(startHour) * 60 + Number(startMinute);
+        const end = Number(endHour) * 60 + Number(endMinute);
+        if (start >= 24 * 60 || end > 24 * 60 || start === end) throw new Error(`预热时段无效: ${text}`);
+
+        let days = null;
+        if (dayText) {
+            days = new Set();
+            for (const range of dayText.split(/\s*,\s*/)) {
+                const [from, to = from] = range.split('-').map(Number);
+                if (from > to) throw new Error(`预热时段星期范围无效: ${text}`);
+                for (let day = from; day <= to; day++) days.add(day);
+            }
+        }
+        windows.push({ days, start, end });
+        return windows;
+    }, []);
+}
+
+function inWarmWindow(windows, date = new Date()) {
+    const day = date.getDay() || 7;
+    const previousDay = day === 1 ? 7 : day - 1;
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const onDay = (window, value) => !window.days || window.days.has(value);
+    return windows.some(window => (window.start < window.end
+        ? onDay(window, day) && minute >= window.start && minute < window.end
+        : (onDay(window, day) && minute >= window.start) || (onDay(window, previousDay) && minute < window.end)));
+}
+
 class BrowserManager {
     constructor() {
         this.browser = null;
-        this.context = null;
+        this.contexts = new Map();
+        // 各账号常驻的发布页 { page, loadedAt }，只在预热状态下保留
+        this.warmPages = new Map();
+        this.warmRetryAt = new Map();
+        this.loginChecked = new Set();
         this.lastActivity = Date.now();
-        this.idleTimeout = 2 * 60 * 1000; // 2分钟空闲后关闭
+        this.lifecycle = 'idle';
+        this.idleTimeout = BROWSER_IDLE_TIMEOUT;
+        this.warmWindowsSpec = '';
+        this.warmWindows = [];
         this.cleanupInterval = null;
         this.isInitializing = false;
     }
 
-    async init() {
+    async init(account) {
         // 防止并发初始化
         if (this.isInitializing) {
             logWithFlush('[浏览器] 正在初始化中，等待完成...');
             while (this.isInitializing) {
                 await new Promise(resolve => setTimeout(resolve, 100));
             }
-            return { browser: this.browser, context: this.context };
         }
 
-        if (this.browser && this.context) {
+        if (this.browser && this.contexts.has(account.id)) {
             this.updateActivity();
-            return { browser: this.browser, context: this.context };
+            return { browser: this.browser, context: this.contexts.get(account.id) };
         }
 
+        throwIfTaskAborted();
         this.isInitializing = true;
         try {
             if (!this.browser) {
@@ -186,52 +591,181 @@ class BrowserManager {
                         '--js-flags=--max-old-space-size=256',
                     ]
                 });
+                metrics.browserLaunches.inc();
                 logWithFlush('[浏览器] 浏览器启动成功');
             }
 
-            if (this.context && this.browser.isConnected()) {
-                logWithFlush('[浏览器] 使用现有上下文');
+            const existing = this.contexts.get(account.id);
+            if (existing && this.browser.isConnected()) {
+                logWithFlush(`[浏览器] 使用现有上下文 (账号: ${account.id})`);
                 this.updateActivity();
                 this.startCleanupTimer();
-                return { browser: this.browser, context: this.context };
+                return { browser: this.browser, context: existing };
             }
 
             // 清理旧上下文
-            if (this.context) {
-                await this.context.close().catch(() => {});
-                this.context = null;
+            if (existing) {
+                await existing.close().catch(() => {});
+                this.contexts.delete(account.id);
             }
 
-            logWithFlush('[浏览器] 创建浏览器上下文...');
-            const sessionData = await loadSession();
+            logWithFlush(`[浏览器] 创建浏览器上下文 (账号: ${account.id})...`);
+            const sessionData = await loadSession(account);
             const contextOptions = {
-                userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+                userAgent: BROWSER_USER_AGENT
             };
             if (sessionData) {
                 contextOptions.storageState = sessionData;
-                logWithFlush('[浏览器] 加载已保存的会话');
+                logWithFlush(`[浏览器] 加载已保存的会话 (账号: ${account.id})`);
             }
-            this.context = await this.browser.newContext(contextOptions);
+            const context = await this.browser.newContext(contextOptions);
+            this.contexts.set(account.id, context);
             logWithFlush('[浏览器] 上下文创建成功');
 
             this.updateActivity();
             this.startCleanupTimer();
             
-            return { browser: this.browser, context: this.context };
+            return { browser: this.browser, context };
         } finally {
             this.isInitializing = false;
         }
     }
 
+    configure(lifecycle, warmWindowsSpec) {
+        this.lifecycle = lifecycle;
+        this.warmWindowsSpec = warmWindowsSpec || '';
+        this.warmWindows = lifecycle === 'schedule' ? parseWarmWindows(warmWindowsSpec) : [];
+        if (lifecycle === 'schedule' && this.warmWindows.length === 0) {
+            throw new Error('BROWSER_LIFECYCLE=schedule 时必须设置 BROWSER_WARM_WINDOWS');
+        }
+    }
+
+    isWarm(date = new Date()) {
+        if (this.lifecycle === 'warm') return true;
+        return this.lifecycle === 'schedule' && inWarmWindow(this.warmWindows, date);
+    }
+
+    describeLifecycle() {
+        if (this.lifecycle === 'warm') return '始终保持浏览器和发布页';
+        const idle = `空闲 ${this.idleTimeout / 60000} 分钟后关闭浏览器`;
+        return this.lifecycle === 'schedule' ? `预热时段 ${this.warmWindowsSpec} 内保持浏览器，其余时间${idle}` : idle;
+    }
+
+    // 预热模式下启动时就开始检查，不必等第一次操作
+    start() {
+        if (this.lifecycle !== 'idle') {
+            this.startCleanupTimer();
+            this.maintainWarmPages().catch(error => {
+                logErrorWithFlush('[浏览器] 预热失败:', error.message);
+            });
+        }
+    }
+
+    // 取出账号常驻的发布页供本次操作独占使用；没有或已失效时返回 null
+    async takeWarmPage(account) {
+        const warm = this.warmPages.get(account.id);
+        if (!warm) return null;
+        this.warmPages.delete(account.id);
+        try {
+            if (warm.page.isClosed()) return null;
+            if (Date.now() - warm.loadedAt > WARM_PAGE_MAX_AGE) {
+                await warm.page.reload({ waitUntil: 'domcontentloaded', timeout: 20000 });
+                warm.loadedAt = Date.now();
+            }
+            await warm.page.waitForSelector(siteProfile.selectors.composer, { timeout: 3000 });
+            logDebug(`[浏览器] 使用常驻发布页 (账号: ${account.id})`);
+            return warm;
+        } catch (error) {
+            logWarnWithFlush(`[浏览器] 常驻发布页不可用，改为打开新页面 (账号: ${account.id}): ${error.message}`);
+            await warm.page.close().catch(() => {});
+            return null;
+        }
+    }
+
+    // 操作结束后归还页面：预热状态下且操作成功、内存未超限时留作常驻发布页，否则关闭
+    async releasePage(account, page, { reusable = false, loadedAt = Date.now() } = {}) {
+        if (page.isClosed()) return;
+        await page.unrouteAll({ behavior: 'ignoreErrors' }).catch(() => {});
+        const keep = reusable && this.isWarm() && !this.warmPages.has(account.id) &&
+            this.contexts.has(account.id) && !logMemoryUsage('归还发布页');
+        if (keep) {
+            this.warmPages.set(account.id, { page, loadedAt });
+        } else {
+            await page.close().catch(() => {});
+        }
+    }
+
+    async closeWarmPages(reason) {
+        if (this.warmPages.size === 0) return;
+        logWithFlush(`[浏览器] 关闭常驻发布页 (${this.warmPages.size} 个): ${reason}`);
+        for (const { page } of this.warmPages.values()) {
+            await page.close().catch(() => {});
+        }
+        this.warmPages.clear();
+    }
+
+    // 为已登录、还没有常驻发布页的账号打开首页，通过队列执行以免与其他浏览器操作并发；
+    // 服务启动后尚未检查过的会话先检查一次登录状态，预热失败的账号过一段时间再试
+    async maintainWarmPages() {
+        const now = Date.now();
+        const pending = accountRegistry.list().filter(account =>
+            !this.warmPages.has(account.id) &&
+            (this.warmRetryAt.get(account.id) || 0) <= now &&
+            (account.isLoggedIn || (!this.loginChecked.has(account.id) && fs.pathExistsSync(account.sessionFile)))
+        );
+        if (pending.length === 0) return;
+
+        await requestQueue.enqueue(async () => {
+            for (const account of pending) {
+                if (!account.isLoggedIn) {
+                    this.loginChecked.add(account.id);
+                    if (!(await checkLoginStatus(account).catch(() => false))) continue;
+                }
+                if (this.warmPages.has(account.id)) continue;
+
+                let page = null;
+                try {
+                    const context = await initBrowser(account);
+                    page = await context.newPage();
+                    await page.goto(siteProfile.urls.home, { waitUntil: 'domcontentloaded', timeout: 20000 });
+                    await page.waitForSelector(siteProfile.selectors.composer, { timeout: 10000 });
+                } catch (error) {
+                    if (page) await page.close().catch(() => {});
+                    this.warmRetryAt.set(account.id, Date.now() + WARM_RETRY_DELAY);
+                    logWarnWithFlush(`[浏览器] 预热发布页失败 (账号: ${account.id}): ${error.message}`);
+                    continue;
+                }
+                this.warmRetryAt.delete(account.id);
+                this.warmPages.set(account.id, { page, loadedAt: Date.now() });
+                logWithFlush(`[浏览器] ✅ 发布页已预热 (账号: ${account.id})`);
+            }
+        }, 'warmBrowser', { signal: null });
+    }
+
+    getContext(accountId) {
+        return this.contexts.get(accountId) || null;
+    }
+
     updateActivity() {
         this.lastActivity = Date.now();
     }
 
+    async closeContext(accountId) {
+        const context = this.contexts.get(accountId);
+        this.warmPages.delete(accountId);
+        if (context) {
+            this.contexts.delete(accountId);
+            await context.close().catch(() => {});
+            logWithFlush(`[清理] 账号 ${accountId} 的浏览器上下文已关闭`);
+        }
+    }
+
     async cleanupContext() {
-        if (this.context) {
+        if (this.contexts.size > 0) {
             logWithFlush('[清理] 关闭浏览器上下文...');
-            await this.context.close().catch(() => {});
-            this.context = null;
+            for (const accountId of [...this.contexts.keys()]) {
+                await this.closeContext(accountId);
+            }
             logWithFlush('[清理] 浏览器上下文已关闭');
         }
     }
@@ -245,6 +779,24 @@ class BrowserManager {
         }
     }
 
+    // 操作超时后强制重置：先丢弃引用，下一个任务会启动新的浏览器；关闭进程时卡住也不再等待
+    async recover(reason) {
+        const browser = this.browser;
+        this.browser = null;
+        this.contexts.clear();
+        this.warmPages.clear();
+        if (!browser) return;
+
+        logWarnWithFlush(`[浏览器] 重置浏览器: ${reason}`);
+        let timer;
+        await Promise.race([
+            browser.close().catch(() => {}),
+            new Promise(resolve => { timer = setTimeout(resolve, 10000); })
+        ]);
+        clearTimeout(timer);
+        performGC('重置浏览器');
+    }
+
     startCleanupTimer() {
         if (this.cleanupInterval) return;
         
@@ -252,16 +804,30 @@ class BrowserManager {
             const idleTime = Date.now() - this.lastActivity;
             
             // 如果有任务在处理，不清理
-            if (requestQueue.processing) {
+            if (requestQueue.processing || requestQueue.queue.length > 0) {
                 return;
             }
 
-            // 定期记录内存状态
-            logMemoryUsage('定期检查');
+            // 定期记录内存状态，超过阈值时回收常驻发布页
+            const overLimit = logMemoryUsage('定期检查');
+            if (overLimit) {
+                await this.closeWarmPages('内存超过阈值');
+                performGC('回收发布页');
+            }
+
+            if (this.isWarm()) {
+                if (!overLimit) {
+                    await this.maintainWarmPages().catch(error => {
+                        logErrorWithFlush('[浏览器] 预热失败:', error.message);
+                    });
+                }
+                return;
+            }
 
             // 空闲时关闭浏览器和上下文以释放内存
-            if (idleTime > this.idleTimeout && (this.context || this.browser)) {
+            if (idleTime > this.idleTimeout && (this.contexts.size > 0 || this.browser)) {
                 logWithFlush(`[清理] 检测到空闲 ${Math.round(idleTime/1000)}s，关闭浏览器释放内存`);
+                metrics.browserIdleShutdowns.inc();
                 await this.cleanup(true);
                 
                 // 手动触发垃圾回收
@@ -272,10 +838,12 @@ class BrowserManager {
     }
 
     async cleanup(closeBrowser = true) {
-        if (this.cleanupInterval && closeBrowser) {
+        // 预热模式下检查定时器一直运行，浏览器关闭后会在需要时重新预热
+        if (this.cleanupInterval && closeBrowser && this.lifecycle === 'idle') {
             clearInterval(this.cleanupInterval);
             this.cleanupInterval = null;
         }
+        this.warmPages.clear();
 
         await this.cleanupContext();
         
@@ -284,12 +852,14 @@ class BrowserManager {
         }
     }
 
-    async saveSessionNow() {
-        if (this.context && isLoggedIn) {
+    async saveSessionNow(account) {
+        const context = this.contexts.get(account.id);
+        if (context && account.isLoggedIn) {
             try {
-                const sessionData = await this.context.storageState();
-                await fs.writeJson(SESSION_FILE, sessionData);
-                logWithFlush('[会话] 会话已保存');
+                const sessionData = await context.storageState();
+                await writeSessionFile(account.sessionFile, sessionData);
+                account.session.cookiesExpireAt = getCookieExpiry(sessionData);
+                logWithFlush(`[会话] 会话已保存 (账号: ${account.id})`);
                 return true;
             } catch (error) {
                 if (!error.message.includes('closed')) {
@@ -303,10 +873,50 @@ class BrowserManager {
 }
 
 const browserManager = new BrowserManager();
+try {
+    browserManager.configure(BROWSER_LIFECYCLE, process.env.BROWSER_WARM_WINDOWS);
+} catch (error) {
+    logErrorWithFlush(`[启动] ${error.message}`);
+    process.exit(1);
+}
 
 // ========================= 应用配置 =========================
-app.use(cors());
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// 每个请求分配 requestId（或沿用调用方的 X-Request-Id），写入响应头，错误响应体中也带上
+app.use((req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.requestId = requestId;
+    res.set('X-Request-Id', requestId);
+
+    // 客户端在响应完成前断开时触发 signal，队列中尚未开始的任务随之取消
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) abortController.abort();
+    });
+
+    // diagnostics 数组在队列任务复制上下文时共享引用，任务中保存的诊断包能回到这里
+    const context = { requestId, diagnostics: [], signal: abortController.signal };
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && body.requestId === undefined) {
+            body = { ...body, requestId };
+            // 本次请求中浏览器操作失败时保存了诊断包，附上最近一个的 ID
+            if (context.diagnostics.length > 0) body.diagnosticsId = context.diagnostics[context.diagnostics.length - 1];
+        }
+        return originalJson(body);
+    };
+    requestContext.run(context, next);
+});
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+// 发送接口允许在 JSON 中携带 base64 媒体，单独放宽请求体大小
+app.use(['/api/post', /^\/api\/accounts\/[^/]+\/post$/], express.json({ limit: process.env.POST_BODY_LIMIT || '30mb' }));
+// 导入的会话包含完整的 Cookie 和 localStorage
+app.use(['/api/session/import', /^\/api\/accounts\/[^/]+\/session\/import$/], express.json({ limit: '5mb' }));
 app.use(express.json({ limit: '50kb' }));
+// Mastodon 客户端常用表单提交
+app.use(['/api/v1', '/api/v2'], express.urlencoded({ extended: true, limit: '50kb' }));
 app.use('/api', (req, res, next) => {
     if (req.method !== 'GET' && req.get('Content-Type')?.includes('application/json') && req.body === undefined) {
         return res.status(400).json({ error: '请求体JSON格式错误' });
@@ -325,340 +935,5207 @@ app.use(express.static('public'));
 function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
-    if (!token || token !== AUTH_TOKEN) {
-        return res.status(401).json({ error: '未经授权：Token 无效或缺失' });
+    const record = token ? tokenStore.authenticate(token) : null;
+    if (!record || record.expired) {
+        auditLog.append({
+            at: new Date().toISOString(),
+            tokenId: record?.id || null,
+            tokenName: record?.name || null,
+            method: req.method,
+            path: req.originalUrl,
+            status: 401,
+            ip: req.ip
+        });
+        return res.status(401).json({ error: record ? '未经授权：Token 已过期' : '未经授权：Token 无效或缺失' });
+    }
+    req.token = record;
+    next();
+}
+
+// 拥有 admin 权限的 Token 可以访问所有接口，其余 Token 需要具备列出的任一权限
+function requireScope(...scopes) {
+    return (req, res, next) => {
+        const granted = req.token.scopes;
+        if (!granted.includes('admin') && !scopes.some(scope => granted.includes(scope))) {
+            return res.status(403).json({ error: `权限不足：需要 ${scopes.join(' 或 ')} 权限` });
+        }
+        next();
+    };
+}
+
+// 所有修改类请求都记录到审计日志，包括执行的 Token 和结果状态码
+function recordAudit(req, res, next) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.on('finish', () => {
+            auditLog.append({
+                at: new Date().toISOString(),
+                tokenId: req.token.id,
+                tokenName: req.token.name,
+                method: req.method,
+                path: req.originalUrl,
+                accountId: req.account?.id || null,
+                status: res.statusCode,
+                requestId: req.requestId,
+                ip: req.ip
+            });
+        });
     }
     next();
 }
 
-app.use('/api', authenticateToken);
+app.use('/api', authenticateToken, recordAudit);
 
-const DATA_DIR = path.join(__dirname, 'data');
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, 'data');
 const SESSION_FILE = path.join(DATA_DIR, 'session.json');
+const SESSIONS_DIR = path.join(DATA_DIR, 'sessions');
+const ACCOUNTS_FILE = path.join(DATA_DIR, 'accounts.json');
+const UPLOAD_DIR = path.join(DATA_DIR, 'uploads');
 fs.ensureDirSync(DATA_DIR);
+fs.ensureDirSync(SESSIONS_DIR);
+fs.ensureDirSync(UPLOAD_DIR);
 
-let browser = null;
-let context = null;
-let loginPage = null;
-let isLoggedIn = false;
-let lastActivityTime = Date.now();
+// ========================= API Token =========================
+const TOKENS_FILE = path.join(DATA_DIR, 'tokens.json');
+const AUDIT_LOG_FILE = path.join(DATA_DIR, 'audit.jsonl');
+const AUDIT_LOG_MAX_BYTES = 5 * 1024 * 1024;
+// approve 权限可以审批任何草稿，包括自己创建的
+const TOKEN_SCOPES = ['post', 'login', 'history', 'metrics', 'approve', 'admin'];
+const TOKEN_LAST_USED_SAVE_INTERVAL = 60 * 1000;
 
-// ========================= 核心功能函数 =========================
-async function initBrowser() {
-    const { browser: br, context: ctx } = await browserManager.init();
-    browser = br;
-    context = ctx;
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
 }
 
-async function loadSession() {
-    try {
-        if (await fs.pathExists(SESSION_FILE)) {
-            const sessionData = await fs.readJson(SESSION_FILE);
-            logWithFlush('[会话] 会话文件已加载');
-            return sessionData;
-        }
-    } catch (error) {
-        logWithFlush('[会话] 加载会话失败:', error.message);
-    }
-    return null;
+function generateToken() {
+    return `wp_${crypto.randomBytes(24).toString('base64url')}`;
 }
 
-async function checkLoginStatus() {
-    const maxRetries = 2;
-    let lastError;
-    
-    for (let i = 0; i < maxRetries; i++) {
-        let page = null;
-        try {
-            logWithFlush(`[登录检查] 检查登录状态 (尝试 ${i + 1}/${maxRetries})`);
-            await initBrowser();
-            browserManager.updateActivity();
-            
-            page = await context.newPage();
-            await page.goto('https://weibo.com', { waitUntil: 'domcontentloaded', timeout: 20000 });
-            
-            try {
-                await page.waitForSelector('textarea[placeholder="有什么新鲜事想分享给大家？"]', { timeout: 10000 });
-                isLoggedIn = true;
-                lastActivityTime = Date.now();
-                logWithFlush('[登录检查] ✅ 用户已登录');
-                // 只在登录状态改变时保存会话
-                if (!isLoggedIn) {
-                    await browserManager.saveSessionNow();
-                }
-                return true;
-            } catch {
-                isLoggedIn = false;
-                logWithFlush('[登录检查] ❌ 用户未登录');
-                return false;
-            }
-        } catch (error) {
-            lastError = error;
-            logErrorWithFlush(`[登录检查] 失败 (尝试 ${i + 1}):`, error.message);
-            if (i < maxRetries - 1) {
-                await new Promise(resolve => setTimeout(resolve, 2000));
-            }
-        } finally {
-            if (page) {
-                await page.close().catch(() => {});
-            }
-        }
+// 只保存 Token 的 SHA-256 摘要，明文只在创建和轮换时返回一次
+class TokenStore {
+    constructor(file) {
+        this.file = file;
+        this.tokens = [];
+        this.saving = Promise.resolve();
+        this.lastSavedAt = 0;
+        // 环境变量 AUTH_TOKEN 作为不可删除的管理员 Token
+        this.envToken = AUTH_TOKEN ? {
+            id: 'env',
+            name: 'AUTH_TOKEN',
+            hash: hashToken(AUTH_TOKEN),
+            scopes: ['admin'],
+            createdAt: null,
+            expiresAt: null,
+            lastUsedAt: null,
+            source: 'env'
+        } : null;
     }
-    
-    isLoggedIn = false;
-    throw lastError || new Error('检查登录状态失败');
-}
 
-async function getQRCode() {
-    const maxRetries = 2;
-    let lastError;
-    
-    for (let i = 0; i < maxRetries; i++) {
+    load() {
         try {
-            logWithFlush(`[二维码] 获取二维码 (尝试 ${i + 1}/${maxRetries})`);
-            await initBrowser();
-            browserManager.updateActivity();
-            
-            if (loginPage && !loginPage.isClosed()) {
-                await loginPage.close();
-            }
-            
-            loginPage = await context.newPage();
-            await loginPage.goto('https://passport.weibo.com/sso/signin?entry=miniblog&source=miniblog', {
-                waitUntil: 'domcontentloaded', timeout: 20000
-            });
-            
-            await loginPage.waitForSelector('img[src*="qr.weibo.cn"]', { timeout: 10000 });
-            const qrCodeUrl = await loginPage.getAttribute('img[src*="qr.weibo.cn"]', 'src');
-            
-            if (qrCodeUrl) {
-                logWithFlush('[二维码] ✅ 二维码获取成功');
-                return qrCodeUrl;
-            } else {
-                throw new Error('未找到二维码');
+            if (fs.pathExistsSync(this.file)) {
+                this.tokens = fs.readJsonSync(this.file);
             }
         } catch (error) {
-            lastError = error;
-            logErrorWithFlush(`[二维码] 失败 (尝试 ${i + 1}):`, error.message);
-            if (loginPage && !loginPage.isClosed()) {
-                await loginPage.close().catch(() => {});
-                loginPage = null;
-            }
-            if (i < maxRetries - 1) {
-                await new Promise(resolve => setTimeout(resolve, 2000));
-            }
+            logErrorWithFlush('[Token] 加载 Token 失败:', error.message);
+            this.tokens = [];
         }
     }
-    
-    throw lastError || new Error('获取二维码失败');
-}
 
-async function checkScanStatus() {
-    try {
-        if (isLoggedIn) {
-            return { status: 'success', message: '登录成功（已缓存）' };
-        }
+    save() {
+        this.lastSavedAt = Date.now();
+        this.saving = this.saving
+            .then(() => writeJsonAtomic(this.file, this.tokens))
+            .catch(error => logErrorWithFlush('[Token] 保存 Token 失败:', error.message));
+        return this.saving;
+    }
 
-        if (!loginPage || loginPage.isClosed()) {
-            return { status: 'waiting', message: '页面已关闭，请刷新二维码' };
-        }
+    list() {
+        return [
+            ...(this.envToken ? [this.envToken] : []),
+            ...this.tokens.map(token => ({ ...token, source: 'api' }))
+        ];
+    }
 
-        browserManager.updateActivity();
-        await loginPage.waitForLoadState('domcontentloaded', { timeout: 5000 }).catch(() => {});
-        const currentUrl = loginPage.url();
-        
-        if (currentUrl.includes('weibo.com') && !currentUrl.includes('passport')) {
-            isLoggedIn = true;
-            lastActivityTime = Date.now();
-            logWithFlush('[扫码状态] ✅ 用户扫码登录成功！');
-            await browserManager.saveSessionNow();
-            await loginPage.close().catch(() => {});
-            loginPage = null;
-            return { status: 'success', message: '登录成功' };
-        }
+    get(id) {
+        return this.list().find(token => token.id === id) || null;
+    }
 
-        const errorElement = await loginPage.$('.txt_red').catch(() => null);
-        if (errorElement) {
-            const errorText = await errorElement.textContent();
-            return { status: 'error', message: errorText };
+    // 返回匹配的 Token 记录，已过期的记录带 expired 标记
+    authenticate(token) {
+        const hash = hashToken(token);
+        const record = this.list().find(item =>
+            crypto.timingSafeEqual(Buffer.from(item.hash, 'hex'), Buffer.from(hash, 'hex'))
+        );
+        if (!record) return null;
+        if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+            return { ...record, expired: true };
         }
 
-        const expiredElement = await loginPage.$('text=二维码已失效').catch(() => null);
-        if (expiredElement) {
-            await loginPage.close().catch(() => {});
-            loginPage = null;
-            return { status: 'error', message: '二维码已过期，请刷新' };
+        const now = Date.now();
+        const stored = record.source === 'env' ? this.envToken : this.tokens.find(item => item.id === record.id);
+        stored.lastUsedAt = new Date(now).toISOString();
+        // 最近使用时间不需要每次请求都落盘
+        if (record.source === 'api' && now - this.lastSavedAt > TOKEN_LAST_USED_SAVE_INTERVAL) {
+            this.save();
         }
+        return record;
+    }
 
-        const statusElements = await loginPage.$$('.txt').catch(() => []);
-        let statusMessage = '等待扫码';
-        for (const element of statusElements) {
-            const text = await element.textContent().catch(() => '');
-            if (text.includes('扫描成功') || text.includes('请确认')) {
-                statusMessage = '扫描成功，请在手机上确认登录';
-                break;
-            }
-        }
-        return { status: 'waiting', message: statusMessage };
-    } catch (error) {
-        logErrorWithFlush('[扫码状态] 失败:', error.message);
-        if (loginPage && !loginPage.isClosed()) {
-            await loginPage.close().catch(() => {});
-            loginPage = null;
-        }
-        return { status: 'error', message: '检查状态失败: ' + error.message };
+    async create({ name, scopes, expiresAt = null, quota = null }) {
+        const token = generateToken();
+        const record = {
+            id: crypto.randomUUID(),
+            name,
+            hash: hashToken(token),
+            scopes,
+            // 每个 Token 的发送配额，未设置的项使用 TOKEN_HOURLY_LIMIT / TOKEN_DAILY_LIMIT
+            quota,
+            createdAt: new Date().toISOString(),
+            expiresAt,
+            lastUsedAt: null
+        };
+        this.tokens.push(record);
+        await this.save();
+        return { record, token };
+    }
+
+    async rotate(id) {
+        const record = this.tokens.find(item => item.id === id);
+        if (!record) return null;
+        const token = generateToken();
+        record.hash = hashToken(token);
+        record.rotatedAt = new Date().toISOString();
+        await this.save();
+        return { record, token };
+    }
+
+    async remove(id) {
+        const index = this.tokens.findIndex(item => item.id === id);
+        if (index === -1) return false;
+        this.tokens.splice(index, 1);
+        await this.save();
+        return true;
     }
 }
 
-async function postWeibo(content) {
-    const maxRetries = 2;
+function describeToken(token) {
+    const { hash, ...rest } = token;
+    return rest;
+}
+
+class AuditLog {
+    constructor(file) {
+        this.file = file;
+        this.writing = Promise.resolve();
+    }
+
+    append(entry) {
+        this.writing = this.writing.then(async () => {
+            const stat = await fs.stat(this.file).catch(() => null);
+            if (stat && stat.size > AUDIT_LOG_MAX_BYTES) {
+                await fs.move(this.file, `${this.file}.1`, { overwrite: true });
+            }
+            await fs.appendFile(this.file, JSON.stringify(entry) + '\n');
+        }).catch(error => logErrorWithFlush('[审计日志] 写入失败:', error.message));
+        return this.writing;
+    }
+
+    async read({ tokenId, limit = 100 } = {}) {
+        if (!(await fs.pathExists(this.file))) return [];
+        const lines = (await fs.readFile(this.file, 'utf8')).split('\n').filter(Boolean);
+        const entries = [];
+        for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+            try {
+                const entry = JSON.parse(lines[i]);
+                if (!tokenId || entry.tokenId === tokenId) entries.push(entry);
+            } catch {
+                // 忽略损坏的行
+            }
+        }
+        return entries;
+    }
+}
+
+const tokenStore = new TokenStore(TOKENS_FILE);
+tokenStore.load();
+const auditLog = new AuditLog(AUDIT_LOG_FILE);
+
+// 拒绝使用公开的默认 Token 启动，除非显式允许
+if (AUTH_TOKEN === DEFAULT_AUTH_TOKEN && !ALLOW_DEFAULT_TOKEN) {
+    logErrorWithFlush(`[启动] AUTH_TOKEN 不能使用默认值 "${DEFAULT_AUTH_TOKEN}"，请设置安全的随机字符串（或设置 ALLOW_DEFAULT_TOKEN=true 强制使用）`);
+    process.exit(1);
+}
+if (!AUTH_TOKEN && tokenStore.tokens.length === 0) {
+    logErrorWithFlush('[启动] 未设置 AUTH_TOKEN，也没有已创建的 Token，无法访问 API');
+    process.exit(1);
+}
+
+// ========================= 站点配置 =========================
+// 微博的地址和页面选择器集中在站点配置文件中，改版时覆盖配置即可，无需修改代码
+const SITE_PROFILE_VERSION = 1;
+const DEFAULT_SITE_PROFILE_FILE = path.join(__dirname, 'config', 'site-profile.json');
+
+function mergeProfile(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override || {})) {
+        merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+            ? mergeProfile(base[key] || {}, value)
+            : value;
+    }
+    return merged;
+}
+
+function loadSiteProfile() {
+    let profile = fs.readJsonSync(DEFAULT_SITE_PROFILE_FILE);
+    const overrideFile = process.env.SITE_PROFILE_FILE;
+    if (overrideFile) {
+        const override = fs.readJsonSync(path.resolve(overrideFile));
+        if (override.version !== undefined && override.version !== SITE_PROFILE_VERSION) {
+            throw new Error(`站点配置版本不兼容: ${override.version} (需要 ${SITE_PROFILE_VERSION})`);
+        }
+        profile = mergeProfile(profile, override);
+        logWithFlush(`[站点配置] 已加载覆盖配置: ${overrideFile}`);
+    }
+    // 基础地址可以单独通过环境变量指向本地的模拟微博服务
+    if (process.env.WEIBO_BASE_URL) profile.urls.home = process.env.WEIBO_BASE_URL;
+    if (process.env.WEIBO_PASSPORT_URL) profile.urls.passport = process.env.WEIBO_PASSPORT_URL;
+    return profile;
+}
+
+const siteProfile = loadSiteProfile();
+const SITE_HOME_HOST = new URL(siteProfile.urls.home).hostname;
+
+function signinUrl() {
+    return siteProfile.urls.passport.replace(/\/$/, '') + siteProfile.urls.signinPath;
+}
+
+// 扫码确认后登录页会跳转回微博首页所在的域名
+function isLoggedInUrl(url) {
+    try {
+        const { hostname } = new URL(url);
+        const onSite = hostname === SITE_HOME_HOST || hostname.endsWith(`.${SITE_HOME_HOST}`);
+        return onSite && !url.startsWith(siteProfile.urls.passport);
+    } catch {
+        return false;
+    }
+}
+
+// ========================= 会话加密 =========================
+// 会话文件里是完整的登录 Cookie，设置 SESSION_ENCRYPTION_KEY 后以 AES-256-GCM 加密保存
+const SESSION_ENVELOPE_FORMAT = 'weibo-proxy-session';
+const SESSION_ENVELOPE_VERSION = 1;
+const SESSION_CIPHER = 'aes-256-gcm';
+const SESSION_EXPORT_MIN_PASSPHRASE = 8;
+const SESSION_KEY = process.env.SESSION_ENCRYPTION_KEY
+    ? crypto.scryptSync(process.env.SESSION_ENCRYPTION_KEY, SESSION_ENVELOPE_FORMAT, 32)
+    : null;
+const scryptAsync = util.promisify(crypto.scrypt);
+
+if (!SESSION_KEY) {
+    logWarnWithFlush('[会话] 未设置 SESSION_ENCRYPTION_KEY，会话文件将以明文保存');
+}
+
+class SessionCryptoError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SessionCryptoError';
+    }
+}
+
+function isSessionEnvelope(data) {
+    return data?.format === SESSION_ENVELOPE_FORMAT;
+}
+
+function sealSession(storageState, key, extra = {}) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(SESSION_CIPHER, key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(storageState), 'utf8'), cipher.final()]);
+    return {
+        format: SESSION_ENVELOPE_FORMAT,
+        version: SESSION_ENVELOPE_VERSION,
+        cipher: SESSION_CIPHER,
+        ...extra,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+function openSession(envelope, key) {
+    if (envelope.version !== SESSION_ENVELOPE_VERSION || envelope.cipher !== SESSION_CIPHER) {
+        throw new SessionCryptoError(`不支持的会话加密格式: v${envelope.version} ${envelope.cipher}`);
+    }
+    try {
+        const decipher = crypto.createDecipheriv(SESSION_CIPHER, key, Buffer.from(envelope.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+        const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+        return JSON.parse(data.toString('utf8'));
+    } catch {
+        throw new SessionCryptoError('会话解密失败，密钥或口令不正确，或数据已损坏');
+    }
+}
+
+function decodeSessionFile(data) {
+    if (!isSessionEnvelope(data)) return data;
+    if (!SESSION_KEY) {
+        throw new SessionCryptoError('会话文件已加密，但未设置 SESSION_ENCRYPTION_KEY');
+    }
+    return openSession(data, SESSION_KEY);
+}
+
+async function readSessionFile(file) {
+    return decodeSessionFile(await fs.readJson(file));
+}
+
+async function writeSessionFile(file, storageState) {
+    await writeJsonAtomic(file, SESSION_KEY ? sealSession(storageState, SESSION_KEY) : storageState);
+}
+
+// 启动时调用，此时还没有其他写入：配置了密钥就把旧的明文会话文件就地改写为密文
+function migrateSessionFileSync(file) {
+    const data = fs.readJsonSync(file);
+    if (SESSION_KEY && !isSessionEnvelope(data)) {
+        const tmpFile = `${file}.tmp`;
+        fs.writeJsonSync(tmpFile, sealSession(data, SESSION_KEY), { spaces: 2 });
+        fs.moveSync(tmpFile, file, { overwrite: true });
+        logWithFlush(`[会话] 明文会话文件已加密: ${path.basename(file)}`);
+    }
+    return decodeSessionFile(data);
+}
+
+// 导出的会话用口令派生的密钥单独加密，与服务器上的 SESSION_ENCRYPTION_KEY 无关
+async function exportSessionBlob(storageState, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const key = await scryptAsync(passphrase, salt, 32);
+    const envelope = sealSession(storageState, key, { kdf: 'scrypt', salt: salt.toString('base64') });
+    return Buffer.from(JSON.stringify(envelope)).toString('base64');
+}
+
+async function importSessionBlob(blob, passphrase) {
+    let envelope;
+    try {
+        envelope = JSON.parse(Buffer.from(blob, 'base64').toString('utf8'));
+    } catch {
+        throw new SessionCryptoError('会话数据格式无效');
+    }
+    if (!isSessionEnvelope(envelope) || envelope.kdf !== 'scrypt' || typeof envelope.salt !== 'string') {
+        throw new SessionCryptoError('会话数据格式无效');
+    }
+    const key = await scryptAsync(passphrase, Buffer.from(envelope.salt, 'base64'), 32);
+    const storageState = openSession(envelope, key);
+    if (!Array.isArray(storageState?.cookies)) {
+        throw new SessionCryptoError('会话数据缺少 Cookie');
+    }
+    return storageState;
+}
+
+// ========================= 账号管理 =========================
+// 默认账号沿用 data/session.json，旧的单账号部署无需迁移
+const DEFAULT_ACCOUNT_ID = 'default';
+const ACCOUNT_ID_PATTERN = /^[a-zA-Z0-9_-]{1,32}$/;
+
+// 决定登录态有效期的 Cookie，取其中最早的过期时间
+const SESSION_AUTH_COOKIES = ['SUB', 'SUBP', 'ALF'];
+
+function getCookieExpiry(storageState) {
+    const cookies = (storageState?.cookies || []).filter(cookie =>
+        cookie.domain.replace(/^\./, '').endsWith(SITE_HOME_HOST) && cookie.expires > 0
+    );
+    const authCookies = cookies.filter(cookie => SESSION_AUTH_COOKIES.includes(cookie.name));
+    const candidates = authCookies.length > 0 ? authCookies : cookies;
+    if (candidates.length === 0) return null;
+    return new Date(Math.min(...candidates.map(cookie => cookie.expires)) * 1000).toISOString();
+}
+
+class AccountRegistry {
+    constructor(file) {
+        this.file = file;
+        this.accounts = new Map();
+    }
+
+    createState({ id, name, createdAt }) {
+        return {
+            id,
+            name: name || id,
+            createdAt: createdAt || new Date().toISOString(),
+            sessionFile: id === DEFAULT_ACCOUNT_ID ? SESSION_FILE : path.join(SESSIONS_DIR, `${id}.json`),
+            isLoggedIn: false,
+            sessionExpiredAt: null,
+            session: { lastCheckAt: null, lastVerifiedAt: null, cookiesExpireAt: null, error: null, decryptError: null },
+            loginPage: null,
+            lastActivityTime: Date.now()
+        };
+    }
+
+    load() {
+        let saved = [];
+        try {
+            if (fs.pathExistsSync(this.file)) {
+                saved = fs.readJsonSync(this.file);
+            }
+        } catch (error) {
+            logErrorWithFlush('[账号] 加载账号列表失败:', error.message);
+        }
+        this.accounts.clear();
+        this.accounts.set(DEFAULT_ACCOUNT_ID, this.createState({ id: DEFAULT_ACCOUNT_ID, name: '默认账号' }));
+        for (const entry of saved) {
+            if (entry.id !== DEFAULT_ACCOUNT_ID && ACCOUNT_ID_PATTERN.test(entry.id)) {
+                this.accounts.set(entry.id, this.createState(entry));
+            }
+        }
+        // 启动时先从会话文件读出 Cookie 过期时间，供 /api/health 展示
+        for (const account of this.accounts.values()) {
+            try {
+                if (fs.pathExistsSync(account.sessionFile)) {
+                    account.session.cookiesExpireAt = getCookieExpiry(migrateSessionFileSync(account.sessionFile));
+                }
+            } catch (error) {
+                // 会话文件损坏时留给后续登录检查处理
+                if (error instanceof SessionCryptoError) {
+                    account.session.decryptError = error.message;
+                    logErrorWithFlush(`[会话] 账号 ${account.id}: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    async save() {
+        const entries = this.list()
+            .filter(account => account.id !== DEFAULT_ACCOUNT_ID)
+            .map(({ id, name, createdAt }) => ({ id, name, createdAt }));
+        await writeJsonAtomic(this.file, entries);
+    }
+
+    list() {
+        return [...this.accounts.values()];
+    }
+
+    get(id) {
+        return this.accounts.get(id) || null;
+    }
+
+    async add(id, name) {
+        const account = this.createState({ id, name });
+        this.accounts.set(id, account);
+        await this.save();
+        return account;
+    }
+
+    async remove(id) {
+        this.accounts.delete(id);
+        await this.save();
+    }
+}
+
+// 先写临时文件再重命名，避免进程中途退出留下半截 JSON
+async function writeJsonAtomic(file, data) {
+    const tmpFile = `${file}.tmp`;
+    await fs.writeJson(tmpFile, data, { spaces: 2 });
+    await fs.move(tmpFile, file, { overwrite: true });
+}
+
+const accountRegistry = new AccountRegistry(ACCOUNTS_FILE);
+accountRegistry.load();
+
+function describeAccount(account) {
+    return {
+        id: account.id,
+        name: account.name,
+        isLoggedIn: account.isLoggedIn,
+        contextStatus: browserManager.getContext(account.id) ? 'active' : 'closed',
+        lastActivity: new Date(account.lastActivityTime).toISOString(),
+        createdAt: account.createdAt,
+        session: {
+            ...account.session,
+            expiresInSeconds: account.session.cookiesExpireAt
+                ? Math.max(0, Math.round((Date.parse(account.session.cookiesExpireAt) - Date.now()) / 1000))
+                : null
+        }
+    };
+}
+
+// 路由中带 :accountId 时使用指定账号，否则使用默认账号
+function resolveAccount(req, res, next) {
+    const accountId = req.params.accountId || DEFAULT_ACCOUNT_ID;
+    const account = accountRegistry.get(accountId);
+    if (!account) {
+        return res.status(404).json({ error: `账号不存在: ${accountId}` });
+    }
+    req.account = account;
+    next();
+}
+
+// ========================= 媒体附件 =========================
+const MAX_IMAGES = 9; // 微博单条最多 9 张图片
+const MAX_IMAGE_SIZE = 20 * 1024 * 1024;
+const MAX_VIDEO_SIZE = 500 * 1024 * 1024;
+const IMAGE_UPLOAD_TIMEOUT = 60000;
+const VIDEO_UPLOAD_TIMEOUT = 10 * 60 * 1000;
+
+const MIME_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/jpg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'video/mp4': '.mp4',
+    'video/quicktime': '.mov',
+    'video/webm': '.webm'
+};
+
+class MediaError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MediaError';
+        this.status = 400;
+    }
+}
+
+const mediaDiskStorage = multer.diskStorage({
+    destination: UPLOAD_DIR,
+    filename: (req, file, cb) => {
+        const ext = MIME_EXTENSIONS[file.mimetype] || path.extname(file.originalname).toLowerCase();
+        cb(null, `${crypto.randomUUID()}${ext}`);
+    }
+});
+
+// multer 的 fileSize 对所有字段相同（按视频上限），图片在写入时另外计数，超过图片上限立即中止上传
+const mediaStorage = {
+    _handleFile(req, file, cb) {
+        const isVideo = file.mimetype.startsWith('video/');
+        const limit = isVideo ? MAX_VIDEO_SIZE : MAX_IMAGE_SIZE;
+        let received = 0;
+        const counter = new Transform({
+            transform(chunk, encoding, callback) {
+                received += chunk.length;
+                callback(received > limit
+                    ? new MediaError(`${isVideo ? '视频' : '图片'}过大: ${file.originalname} (上限 ${Math.round(limit / 1024 / 1024)}MB)`)
+                    : null, chunk);
+            }
+        });
+        // multer 把 stream 定义为只读属性，需要重新定义
+        const source = file.stream.on('error', error => counter.destroy(error));
+        Object.defineProperty(file, 'stream', { configurable: true, enumerable: false, value: source.pipe(counter) });
+        // 写入失败时 multer 不会清理写了一半的文件
+        mediaDiskStorage._handleFile(req, file, (error, info) => {
+            if (!error || !file.path) return cb(error, info);
+            fs.remove(file.path).catch(() => {}).then(() => cb(error));
+        });
+    },
+    _removeFile(req, file, cb) {
+        mediaDiskStorage._removeFile(req, file, cb);
+    }
+};
+
+const mediaUpload = multer({
+    storage: mediaStorage,
+    limits: { fileSize: MAX_VIDEO_SIZE, files: MAX_IMAGES + 1 },
+    fileFilter: (req, file, cb) => {
+        const expected = file.fieldname === 'video' ? 'video/' : 'image/';
+        if (!file.mimetype.startsWith(expected)) {
+            return cb(new MediaError(`文件类型不支持: ${file.originalname}`));
+        }
+        cb(null, true);
+    }
+}).fields([
+    { name: 'images', maxCount: MAX_IMAGES },
+    { name: 'video', maxCount: 1 }
+]);
+
+// multipart 请求才交给 multer 处理，JSON 请求直接放行
+function parseMediaUpload(req, res, next) {
+    if (!req.is('multipart/form-data')) {
+        return next();
+    }
+    mediaUpload(req, res, (error) => {
+        if (!error) return next();
+        removeUploadedFiles(req);
+        if (error instanceof multer.MulterError) {
+            const message = error.code === 'LIMIT_FILE_SIZE' ? '文件过大' :
+                error.code === 'LIMIT_UNEXPECTED_FILE' ? `最多上传 ${MAX_IMAGES} 张图片和 1 个视频` :
+                error.message;
+            return res.status(400).json({ error: message });
+        }
+        if (error instanceof MediaError) {
+            return res.status(400).json({ error: error.message });
+        }
+        next(error);
+    });
+}
+
+function removeUploadedFiles(req) {
+    const files = Object.values(req.files || {}).flat();
+    for (const file of files) {
+        fs.remove(file.path).catch(() => {});
+    }
+}
+
+async function saveMediaBuffer(buffer, mimeType, kind) {
+    const limit = kind === 'video' ? MAX_VIDEO_SIZE : MAX_IMAGE_SIZE;
+    if (!mimeType || !mimeType.startsWith(`${kind}/`)) {
+        throw new MediaError(`媒体类型不支持: ${mimeType || '未知'}`);
+    }
+    if (buffer.length === 0) {
+        throw new MediaError('媒体内容为空');
+    }
+    if (buffer.length > limit) {
+        throw new MediaError(`媒体文件过大 (上限 ${Math.round(limit / 1024 / 1024)}MB)`);
+    }
+    const filePath = path.join(UPLOAD_DIR, `${crypto.randomUUID()}${MIME_EXTENSIONS[mimeType] || ''}`);
+    await fs.writeFile(filePath, buffer);
+    return filePath;
+}
+
+// 回环、链路本地、私有和保留地址，下载媒体时拒绝连接，避免借本服务访问内网
+const MEDIA_BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    MEDIA_BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    MEDIA_BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+const MEDIA_FETCH_TIMEOUT = 30000;
+const MEDIA_FETCH_MAX_REDIRECTS = 3;
+// 本地调试时允许从本机或内网地址下载附件
+const MEDIA_ALLOW_PRIVATE_URLS = process.env.MEDIA_ALLOW_PRIVATE_URLS === 'true';
+
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    return !MEDIA_ALLOW_PRIVATE_URLS && family !== 0 && MEDIA_BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// 在建立连接前检查 DNS 解析结果，重定向和 DNS 重绑定也绕不过去
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        if (addresses.some(isBlockedAddress)) {
+            return callback(new MediaError(`不允许从内网地址下载媒体: ${hostname}`));
+        }
+        callback(null, address, family);
+    });
+}
+
+function requestMedia(url, signal) {
+    // 主机名是 IP 字面量时不会经过 lookup
+    if (isBlockedAddress(url.hostname.replace(/^\[|\]$/g, ''))) {
+        return Promise.reject(new MediaError(`不允许从内网地址下载媒体: ${url.hostname}`));
+    }
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        client.get(url, { lookup: lookupPublicAddress, signal, headers: { 'User-Agent': BROWSER_USER_AGENT } }, resolve)
+            .on('error', reject);
+    });
+}
+
+// 边下载边写入文件，超过大小上限立即中止，不把整个文件读进内存
+async function downloadMedia(source, kind) {
+    const limit = kind === 'video' ? MAX_VIDEO_SIZE : MAX_IMAGE_SIZE;
+    const tooLarge = `媒体文件过大 (上限 ${Math.round(limit / 1024 / 1024)}MB)`;
+    const signal = AbortSignal.timeout(MEDIA_FETCH_TIMEOUT);
+    let url = new URL(source);
+    let response;
+    for (let redirects = 0; ; redirects++) {
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new MediaError(`不支持的媒体地址: ${url.protocol}`);
+        }
+        response = await requestMedia(url, signal);
+        const { statusCode, headers } = response;
+        if (statusCode < 300 || statusCode >= 400 || !headers.location) break;
+        response.resume();
+        if (redirects >= MEDIA_FETCH_MAX_REDIRECTS) {
+            throw new MediaError('下载媒体失败: 重定向次数过多');
+        }
+        url = new URL(headers.location, url);
+    }
+
+    const mimeType = (response.headers['content-type'] || '').split(';')[0].trim();
+    const contentLength = Number(response.headers['content-length']);
+    let rejection = null;
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+        rejection = `下载媒体失败: HTTP ${response.statusCode}`;
+    } else if (!mimeType.startsWith(`${kind}/`)) {
+        rejection = `媒体类型不支持: ${mimeType || '未知'}`;
+    } else if (contentLength > limit) {
+        rejection = tooLarge;
+    }
+    if (rejection) {
+        response.destroy();
+        throw new MediaError(rejection);
+    }
+
+    const filePath = path.join(UPLOAD_DIR, `${crypto.randomUUID()}${MIME_EXTENSIONS[mimeType] || ''}`);
+    let received = 0;
+    const counter = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            callback(received > limit ? new MediaError(tooLarge) : null, chunk);
+        }
+    });
+    try {
+        await pipeline(response, counter, fs.createWriteStream(filePath));
+        if (received === 0) {
+            throw new MediaError('媒体内容为空');
+        }
+        return filePath;
+    } catch (error) {
+        await fs.remove(filePath).catch(() => {});
+        throw error;
+    }
+}
+
+// 支持 http(s) 链接、data URI 以及裸 base64 字符串
+async function resolveMediaSource(source, kind) {
+    if (typeof source !== 'string' || !source) {
+        throw new MediaError('媒体参数必须是 URL 或 base64 字符串');
+    }
+
+    if (/^https?:\/\//i.test(source)) {
+        return downloadMedia(source, kind).catch((error) => {
+            throw error instanceof MediaError ? error : new MediaError(`下载媒体失败: ${error.message}`);
+        });
+    }
+
+    const dataUri = source.match(/^data:([^;,]+);base64,(.*)$/s);
+    if (dataUri) {
+        return saveMediaBuffer(Buffer.from(dataUri[2], 'base64'), dataUri[1], kind);
+    }
+    // 裸 base64 无法得知类型，默认按 jpg / mp4 处理
+    return saveMediaBuffer(Buffer.from(source, 'base64'), kind === 'video' ? 'video/mp4' : 'image/jpeg', kind);
+}
+
+// 汇总 multipart 上传与 JSON 中的媒体，返回本地文件路径
+async function collectMedia(req) {
+    const media = { images: [], video: null };
+    const created = [];
+
+    try {
+        const uploaded = req.files || {};
+        media.images.push(...(uploaded.images || []).map(file => file.path));
+        if (uploaded.video && uploaded.video[0]) {
+            media.video = uploaded.video[0].path;
+        }
+
+        let { images, video } = req.body || {};
+        if (typeof images === 'string') images = [images];
+        if (images !== undefined && !Array.isArray(images)) {
+            throw new MediaError('images 必须是数组');
+        }
+        if ((images || []).length + media.images.length > MAX_IMAGES) {
+            throw new MediaError(`最多上传 ${MAX_IMAGES} 张图片`);
+        }
+        for (const source of images || []) {
+            const filePath = await resolveMediaSource(source, 'image');
+            created.push(filePath);
+            media.images.push(filePath);
+        }
+        if (video) {
+            if (media.video) {
+                throw new MediaError('最多上传 1 个视频');
+            }
+            media.video = await resolveMediaSource(video, 'video');
+            created.push(media.video);
+        }
+
+        if (media.video && media.images.length > 0) {
+            throw new MediaError('微博不支持图片和视频混合发送');
+        }
+        return media;
+    } catch (error) {
+        await Promise.all(created.map(file => fs.remove(file).catch(() => {})));
+        throw error;
+    }
+}
+
+async function cleanupMedia(media) {
+    const files = [...(media?.images || []), media?.video].filter(Boolean);
+    await Promise.all(files.map(file => fs.remove(file).catch(() => {})));
+}
+
+// 通过发布器的文件输入框添加附件，并等待全部上传完成
+async function attachMedia(page, media) {
+    if (media.images.length > 0) {
+        logWithFlush(`[发送微博] 上传图片 ${media.images.length} 张`);
+        let uploaded = 0;
+        const allUploaded = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                page.off('response', onResponse);
+                reject(new Error(`图片上传超时 (${uploaded}/${media.images.length})`));
+            }, IMAGE_UPLOAD_TIMEOUT);
+            const onResponse = (res) => {
+                if (!res.url().includes(siteProfile.urls.imageUpload) || res.request().method() !== 'POST') return;
+                if (res.status() !== 200) {
+                    clearTimeout(timer);
+                    page.off('response', onResponse);
+                    reject(new Error(`图片上传失败: HTTP ${res.status()}`));
+                    return;
+                }
+                uploaded++;
+                if (uploaded >= media.images.length) {
+                    clearTimeout(timer);
+                    page.off('response', onResponse);
+                    resolve();
+                }
+            };
+            page.on('response', onResponse);
+        });
+
+        const input = await page.waitForSelector(siteProfile.selectors.imageInput, { state: 'attached', timeout: 10000 });
+        await input.setInputFiles(media.images);
+        await allUploaded;
+        logWithFlush('[发送微博] 图片上传完成');
+    }
+
+    if (media.video) {
+        logWithFlush('[发送微博] 上传视频');
+        const input = await page.waitForSelector(siteProfile.selectors.videoInput, { state: 'attached', timeout: 10000 });
+        await input.setInputFiles(media.video);
+        // 视频分片上传，没有固定的完成接口，以发布器内的上传进度提示消失为准
+        await page.waitForFunction(({ selector, uploading }) => {
+            let composer = document.querySelector(selector);
+            for (let i = 0; i < 6 && composer && composer.parentElement; i++) {
+                composer = composer.parentElement;
+            }
+            return composer && !new RegExp(uploading).test(composer.innerText);
+        }, { selector: siteProfile.selectors.composer, uploading: siteProfile.texts.uploading }, { timeout: VIDEO_UPLOAD_TIMEOUT, polling: 1000 });
+        logWithFlush('[发送微博] 视频上传完成');
+    }
+}
+
+// ========================= 故障诊断 =========================
+// 浏览器操作失败时保存现场（截图、页面 HTML、控制台日志、网络请求），便于判断是验证码、改版还是被限流
+const DIAGNOSTICS_DIR = path.join(DATA_DIR, 'diagnostics');
+const DIAGNOSTICS_ENABLED = process.env.DIAGNOSTICS_ENABLED !== 'false';
+const DIAGNOSTICS_MAX_BUNDLES = parseInt(process.env.DIAGNOSTICS_MAX_BUNDLES, 10) || 20;
+const DIAGNOSTICS_MAX_BYTES = (parseFloat(process.env.DIAGNOSTICS_MAX_MB) || 50) * 1024 * 1024;
+const DIAGNOSTICS_MAX_EVENTS = 500;
+const DIAGNOSTICS_MAX_HTML = 2 * 1024 * 1024;
+const DIAGNOSTICS_ID_PATTERN = /^[\w-]{1,100}$/;
+fs.ensureDirSync(DIAGNOSTICS_DIR);
+
+// 记录页面的控制台输出和网络请求，只保留最近的若干条
+class PageRecorder {
+    constructor(page) {
+        this.page = page;
+        this.console = [];
+        this.network = [];
+        this.pending = new Map();
+        this.listeners = {
+            console: message => this.push(this.console, `${new Date().toISOString()} [${message.type()}] ${message.text()}`),
+            pageerror: error => this.push(this.console, `${new Date().toISOString()} [pageerror] ${error.message}`),
+            request: request => this.pending.set(request, Date.now()),
+            requestfinished: async request => {
+                const response = await request.response().catch(() => null);
+                this.finish(request, {
+                    status: response?.status() || 0,
+                    statusText: response?.statusText() || '',
+                    mimeType: response?.headers()['content-type'] || ''
+                });
+            },
+            requestfailed: request => this.finish(request, { status: 0, statusText: request.failure()?.errorText || 'failed' })
+        };
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            page.on(event, listener);
+        }
+    }
+
+    // 常驻的发布页会被多次使用，每次操作结束后移除监听
+    stop() {
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            this.page.off(event, listener);
+        }
+    }
+
+    push(list, entry) {
+        list.push(entry);
+        if (list.length > DIAGNOSTICS_MAX_EVENTS) list.shift();
+    }
+
+    finish(request, result) {
+        const startedAt = this.pending.get(request) || Date.now();
+        this.pending.delete(request);
+        this.push(this.network, { method: request.method(), url: request.url(), startedAt, time: Date.now() - startedAt, ...result });
+    }
+
+    // 只记录地址、状态和耗时，不含请求头和请求体，避免 Cookie 落盘；未完成的请求以状态 0 标出
+    toHar() {
+        const pending = [...this.pending].map(([request, startedAt]) => ({
+            method: request.method(),
+            url: request.url(),
+            startedAt,
+            time: Date.now() - startedAt,
+            status: 0,
+            statusText: 'pending'
+        }));
+        const entries = [...this.network, ...pending]
+            .sort((a, b) => a.startedAt - b.startedAt)
+            .map(entry => ({
+                startedDateTime: new Date(entry.startedAt).toISOString(),
+                time: entry.time,
+                request: { method: entry.method, url: entry.url, httpVersion: 'HTTP/1.1', cookies: [], headers: [], queryString: [], headersSize: -1, bodySize: -1 },
+                response: {
+                    status: entry.status,
+                    statusText: entry.statusText,
+                    httpVersion: 'HTTP/1.1',
+                    cookies: [],
+                    headers: [],
+                    content: { size: -1, mimeType: entry.mimeType || '' },
+                    redirectURL: '',
+                    headersSize: -1,
+                    bodySize: -1
+                },
+                cache: {},
+                timings: { send: 0, wait: entry.time, receive: 0 }
+            }));
+        return { log: { version: '1.2', creator: { name: 'weibo-proxy', version: '1.0' }, pages: [], entries } };
+    }
+}
+
+class DiagnosticsStore {
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    watch(page) {
+        return DIAGNOSTICS_ENABLED ? new PageRecorder(page) : null;
+    }
+
+    // 保存失败现场，返回诊断包 ID；保存过程本身出错只记日志，不影响原错误的处理
+    async capture(recorder, { operation, account, error }) {
+        if (!recorder) return null;
+        const { page } = recorder;
+        const createdAt = new Date();
+        const id = `${createdAt.toISOString().replace(/[-:]/g, '').replace(/\..*$/, '')}-${operation}-${crypto.randomBytes(3).toString('hex')}`;
+        const bundleDir = path.join(this.dir, id);
+        const problems = [];
+
+        try {
+            await fs.ensureDir(bundleDir);
+            if (!page.isClosed()) {
+                await page.screenshot({ path: path.join(bundleDir, 'screenshot.png'), fullPage: true, timeout: 10000 })
+                    .catch(err => problems.push(`截图失败: ${err.message}`));
+                const html = await page.content().catch(err => {
+                    problems.push(`读取页面失败: ${err.message}`);
+                    return null;
+                });
+                if (html !== null) {
+                    await fs.writeFile(path.join(bundleDir, 'page.html'), html.slice(0, DIAGNOSTICS_MAX_HTML));
+                }
+            } else {
+                problems.push('页面已关闭，无法截图');
+            }
+            await fs.writeFile(path.join(bundleDir, 'console.log'), recorder.console.join('\n'));
+            await fs.writeJson(path.join(bundleDir, 'network.har'), recorder.toHar());
+
+            const files = [];
+            for (const name of await fs.readdir(bundleDir)) {
+                files.push({ name, size: (await fs.stat(path.join(bundleDir, name))).size });
+            }
+            const meta = {
+                id,
+                operation,
+                accountId: account?.id || null,
+                error: error?.message || null,
+                url: page.isClosed() ? null : page.url(),
+                requestId: requestContext.getStore()?.requestId || null,
+                createdAt: createdAt.toISOString(),
+                problems,
+                files
+            };
+            await fs.writeJson(path.join(bundleDir, 'meta.json'), meta, { spaces: 2 });
+
+            // 供错误响应和异步任务关联诊断包
+            if (error) error.diagnosticsId = id;
+            requestContext.getStore()?.diagnostics?.push(id);
+            logWithFlush(`[诊断] 已保存故障现场 ${id}`);
+            await this.prune();
+            return id;
+        } catch (err) {
+            logErrorWithFlush('[诊断] 保存故障现场失败:', err.message);
+            await fs.remove(bundleDir).catch(() => {});
+            return null;
+        }
+    }
+
+    async list() {
+        const bundles = [];
+        for (const name of await fs.readdir(this.dir).catch(() => [])) {
+            const meta = await this.get(name);
+            if (meta) bundles.push(meta);
+        }
+        return bundles.sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+    }
+
+    async get(id) {
+        if (!DIAGNOSTICS_ID_PATTERN.test(id)) return null;
+        return fs.readJson(path.join(this.dir, id, 'meta.json')).catch(() => null);
+    }
+
+    filePath(meta, name) {
+        return meta.files.some(file => file.name === name) ? path.join(this.dir, meta.id, name) : null;
+    }
+
+    async remove(id) {
+        if (!(await this.get(id))) return false;
+        await fs.remove(path.join(this.dir, id));
+        return true;
+    }
+
+    // 按数量和总大小清理，始终保留最新的一个
+    async prune() {
+        const bundles = await this.list();
+        let totalBytes = 0;
+        for (const [index, meta] of bundles.entries()) {
+            totalBytes += meta.files.reduce((sum, file) => sum + file.size, 0);
+            if (index > 0 && (index >= DIAGNOSTICS_MAX_BUNDLES || totalBytes > DIAGNOSTICS_MAX_BYTES)) {
+                await fs.remove(path.join(this.dir, meta.id)).catch(() => {});
+                logDebug(`[诊断] 已清理诊断包 ${meta.id}`);
+            }
+        }
+    }
+}
+
+const diagnostics = new DiagnosticsStore(DIAGNOSTICS_DIR);
+
+// ========================= HTTP 直连 =========================
+// 不打开浏览器，直接用会话中的 Cookie 和 XSRF 令牌调用站内接口。
+// POST_MODE: browser 只用浏览器；http 只用直连（附件上传仍需浏览器）；auto 先直连，失败或会话需要刷新时回到浏览器
+const POST_MODES = ['browser', 'http', 'auto'];
+const POST_MODE = POST_MODES.includes(process.env.POST_MODE) ? process.env.POST_MODE : 'browser';
+const DIRECT_API_TIMEOUT = 15000;
+// 这些错误发生时请求还没有发出，回到浏览器重试不会重复发送
+const DIRECT_API_UNSENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// sent 表示请求可能已被微博受理（如超时），重试前需要先确认
+class DirectApiError extends Error {
+    constructor(message, { sent = false } = {}) {
+        super(message);
+        this.name = 'DirectApiError';
+        this.sent = sent;
+    }
+}
+
+function cookieMatches(cookie, url) {
+    const host = url.hostname;
+    const domainMatch = cookie.domain.startsWith('.')
+        ? host === cookie.domain.slice(1) || host.endsWith(cookie.domain)
+        : host === cookie.domain;
+    return domainMatch &&
+        url.pathname.startsWith(cookie.path || '/') &&
+        (!cookie.secure || url.protocol === 'https:') &&
+        !(cookie.expires > 0 && cookie.expires * 1000 < Date.now());
+}
+
+// 解析一条 Set-Cookie，字段与 Playwright storageState 中的 Cookie 一致
+function parseSetCookie(header, url) {
+    const [pair, ...attributes] = header.split(';');
+    const index = pair.indexOf('=');
+    if (index <= 0) return null;
+    const cookie = {
+        name: pair.slice(0, index).trim(),
+        value: pair.slice(index + 1).trim(),
+        domain: url.hostname,
+        path: '/',
+        expires: -1,
+        httpOnly: false,
+        secure: false,
+        sameSite: 'Lax'
+    };
+    let maxAge = null;
+    for (const attribute of attributes) {
+        const [key, ...rest] = attribute.split('=');
+        const value = rest.join('=').trim();
+        switch (key.trim().toLowerCase()) {
+            case 'domain': cookie.domain = `.${value.replace(/^\./, '')}`; break;
+            case 'path': cookie.path = value || '/'; break;
+            case 'expires': if (Date.parse(value)) cookie.expires = Date.parse(value) / 1000; break;
+            case 'max-age': maxAge = Number(value); break;
+            case 'httponly': cookie.httpOnly = true; break;
+            case 'secure': cookie.secure = true; break;
+            case 'samesite': cookie.sameSite = value.charAt(0).toUpperCase() + value.slice(1).toLowerCase(); break;
+        }
+    }
+    if (Number.isFinite(maxAge)) cookie.expires = Date.now() / 1000 + maxAge;
+    return cookie;
+}
+
+// 优先使用打开着的浏览器上下文中的 Cookie，它比会话文件新
+async function readDirectSession(account) {
+    const context = browserManager.getContext(account.id);
+    if (context) {
+        return { context, state: await context.storageState() };
+    }
+    if (!(await fs.pathExists(account.sessionFile))) {
+        throw new DirectApiError('没有已保存的会话');
+    }
+    return { context: null, state: await readSessionFile(account.sessionFile) };
+}
+
+// 把响应中更新的 Cookie 写回浏览器上下文或会话文件
+async function storeDirectCookies(account, { context, state }, updates) {
+    if (updates.length === 0) return;
+    const cookies = state.cookies.filter(cookie => !updates.some(update =>
+        update.name === cookie.name && update.domain === cookie.domain && update.path === cookie.path
+    ));
+    cookies.push(...updates.filter(cookie => !(cookie.expires > 0 && cookie.expires * 1000 < Date.now())));
+    const sessionData = { ...state, cookies };
+
+    if (context) {
+        await context.addCookies(updates);
+        await browserManager.saveSessionNow(account);
+    } else {
+        await writeSessionFile(account.sessionFile, sessionData);
+        account.session.cookiesExpireAt = getCookieExpiry(sessionData);
+    }
+    logDebug(`[HTTP 直连] 已更新 Cookie: ${updates.map(cookie => cookie.name).join(', ')} (账号: ${account.id})`);
+}
+
+// 直接调用一次站内接口，返回解析后的 JSON；会话失效（跳转登录、ok=-100）时抛出 DirectApiError
+async function callWeiboApiDirect(account, apiPath, body, { form = false } = {}) {
+    const session = await readDirectSession(account);
+    const url = new URL(apiPath, siteProfile.urls.home);
+    const cookies = (session.state?.cookies || []).filter(cookie => cookieMatches(cookie, url));
+    if (cookies.length === 0) {
+        throw new DirectApiError('会话中没有可用的 Cookie');
+    }
+    const xsrf = cookies.find(cookie => cookie.name === 'XSRF-TOKEN')?.value;
+
+    throwIfTaskAborted();
+    const taskSignal = requestContext.getStore()?.taskSignal;
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            redirect: 'manual',
+            signal: AbortSignal.any([AbortSignal.timeout(DIRECT_API_TIMEOUT), ...(taskSignal ? [taskSignal] : [])]),
+            headers: {
+                'User-Agent': BROWSER_USER_AGENT,
+                'Accept': 'application/json, text/plain, */*',
+                'Content-Type': form ? 'application/x-www-form-urlencoded' : 'application/json',
+                'Cookie': cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; '),
+                'Origin': url.origin,
+                'Referer': `${url.origin}/`,
+                'X-Requested-With': 'XMLHttpRequest',
+                ...(xsrf ? { 'X-XSRF-TOKEN': decodeURIComponent(xsrf) } : {})
+            },
+            body: form ? new URLSearchParams(body).toString() : JSON.stringify(body)
+        });
+    } catch (error) {
+        const code = error.cause?.code;
+        throw new DirectApiError(`请求失败: ${error.cause?.message || error.message}`, { sent: !DIRECT_API_UNSENT_CODES.includes(code) });
+    }
+
+    const updates = response.headers.getSetCookie()
+        .map(header => parseSetCookie(header, url))
+        .filter(Boolean);
+    await storeDirectCookies(account, session, updates).catch(error => {
+        logWarnWithFlush('[HTTP 直连] 保存 Cookie 失败:', error.message);
+    });
+
+    if ((response.status >= 300 && response.status < 400) || response.status === 401 || response.status === 403) {
+        throw new DirectApiError(`会话需要刷新 (HTTP ${response.status})`);
+    }
+    if (!response.ok) {
+        throw new DirectApiError(`HTTP ${response.status}`, { sent: response.status >= 500 });
+    }
+    let data;
+    try {
+        data = await response.json();
+    } catch {
+        throw new DirectApiError('接口返回的不是 JSON', { sent: true });
+    }
+    if (data.ok === -100) {
+        throw new DirectApiError(`会话需要刷新: ${data.msg || '未登录'}`);
+    }
+
+    // 接口能正常响应说明会话有效，不必再打开浏览器检查登录状态
+    if (!account.isLoggedIn) {
+        logWithFlush(`[HTTP 直连] ✅ 会话有效 (账号: ${account.id})`);
+    }
+    account.isLoggedIn = true;
+    account.sessionExpiredAt = null;
+    account.lastActivityTime = Date.now();
+    return data;
+}
+
+// 执行一次直连操作并记录指标；返回 { succeeded, result } 或 { error, fallback }，fallback 为 true 时应改用浏览器。
+// 只有请求没有发出时才改用浏览器：接口返回的业务错误换浏览器也一样，可能已被受理的请求重发会重复，
+// 除非调用方能在浏览器中确认结果（confirmable）
+async function tryDirect(tag, operation, action, { confirmable = false } = {}) {
+    try {
+        const result = await action();
+        metrics.directRequests.inc({ operation, outcome: 'success' });
+        return { succeeded: true, result };
+    } catch (error) {
+        const fallback = POST_MODE === 'auto' && error instanceof DirectApiError && (!error.sent || confirmable);
+        metrics.directRequests.inc({ operation, outcome: fallback ? 'fallback' : 'failure' });
+        if (fallback) {
+            logWarnWithFlush(`[${tag}] HTTP 直连失败，改用浏览器: ${error.message}`);
+        } else {
+            logErrorWithFlush(`[${tag}] HTTP 直连失败:`, error.message);
+        }
+        return { error, fallback };
+    }
+}
+
+// ========================= 核心功能函数 =========================
+async function initBrowser(account) {
+    const { context } = await browserManager.init(account);
+    return context;
+}
+
+async function loadSession(account) {
+    try {
+        if (await fs.pathExists(account.sessionFile)) {
+            const sessionData = await readSessionFile(account.sessionFile);
+            account.session.decryptError = null;
+            logWithFlush(`[会话] 会话文件已加载 (账号: ${account.id})`);
+            return sessionData;
+        }
+    } catch (error) {
+        // 密钥不对时文件中的会话可能仍然有效，记下原因，登录检查不把它当作会话过期
+        if (error instanceof SessionCryptoError) {
+            account.session.decryptError = error.message;
+            logErrorWithFlush(`[会话] ❌ 会话文件无法解密 (账号: ${account.id}): ${error.message}`);
+            return null;
+        }
+        logWithFlush('[会话] 加载会话失败:', error.message);
+    }
+    return null;
+}
+
+async function checkLoginStatus(account) {
+    const maxRetries = 2;
+    let lastError;
+    
+    for (let i = 0; i < maxRetries; i++) {
+        let page = null;
+        let recorder = null;
+        try {
+            logWithFlush(`[登录检查] 检查登录状态 (账号: ${account.id}, 尝试 ${i + 1}/${maxRetries})`);
+            const context = await initBrowser(account);
+            browserManager.updateActivity();
+            
+            page = await context.newPage();
+            recorder = diagnostics.watch(page);
+            await page.goto(siteProfile.urls.home, { waitUntil: 'domcontentloaded', timeout: 20000 });
+            
+            try {
+                await page.waitForSelector(siteProfile.selectors.composer, { timeout: 10000 });
+                const wasLoggedIn = account.isLoggedIn;
+                account.isLoggedIn = true;
+                account.sessionExpiredAt = null;
+                account.session.decryptError = null;
+                account.lastActivityTime = Date.now();
+                logWithFlush(`[登录检查] ✅ 用户已登录 (账号: ${account.id})`);
+                // 只在登录状态改变时保存会话
+                if (!wasLoggedIn) {
+                    await browserManager.saveSessionNow(account);
+                }
+                return true;
+            } catch {
+                // 之前登录过（内存状态或会话文件）但现在未登录，视为会话过期，只通知一次
+                const hadSession = account.isLoggedIn || await fs.pathExists(account.sessionFile);
+                account.isLoggedIn = false;
+                logWithFlush(`[登录检查] ❌ 用户未登录 (账号: ${account.id})`);
+                if (account.session.decryptError) {
+                    logErrorWithFlush(`[登录检查] 会话文件无法解密，不按会话过期处理，请检查 SESSION_ENCRYPTION_KEY (账号: ${account.id})`);
+                } else if (hadSession && !account.sessionExpiredAt) {
+                    account.sessionExpiredAt = new Date().toISOString();
+                    logWithFlush(`[登录检查] ⚠️ 会话已过期 (账号: ${account.id})`);
+                    webhookManager.emit('session.expired', { accountId: account.id, detectedAt: account.sessionExpiredAt });
+                }
+                return false;
+            }
+        } catch (error) {
+            lastError = error;
+            logErrorWithFlush(`[登录检查] 失败 (尝试 ${i + 1}):`, error.message);
+            await diagnostics.capture(recorder, { operation: 'checkLoginStatus', account, error });
+            if (taskAborted()) break;
+            if (i < maxRetries - 1) {
+                metrics.retries.inc({ operation: 'checkLoginStatus' });
+                await new Promise(resolve => setTimeout(resolve, 2000));
+            }
+        } finally {
+            if (page) {
+                await page.close().catch(() => {});
+            }
+        }
+    }
+    
+    account.isLoggedIn = false;
+    throw lastError || new Error('检查登录状态失败');
+}
+
+async function getQRCode(account) {
+    const maxRetries = 2;
+    let lastError;
+    
+    for (let i = 0; i < maxRetries; i++) {
+        let recorder = null;
+        try {
+            logWithFlush(`[二维码] 获取二维码 (账号: ${account.id}, 尝试 ${i + 1}/${maxRetries})`);
+            const context = await initBrowser(account);
+            browserManager.updateActivity();
+            
+            if (account.loginPage && !account.loginPage.isClosed()) {
+                await account.loginPage.close();
+            }
+            
+            const loginPage = await context.newPage();
+            account.loginPage = loginPage;
+            recorder = diagnostics.watch(loginPage);
+            await loginPage.goto(signinUrl(), {
+                waitUntil: 'domcontentloaded', timeout: 20000
+            });
+            
+            await loginPage.waitForSelector(siteProfile.selectors.qrCode, { timeout: 10000 });
+            const qrCodeSrc = await loginPage.getAttribute(siteProfile.selectors.qrCode, 'src');
+            const qrCodeUrl = qrCodeSrc && new URL(qrCodeSrc, loginPage.url()).toString();
+            
+            if (qrCodeUrl) {
+                logWithFlush('[二维码] ✅ 二维码获取成功');
+                return qrCodeUrl;
+            } else {
+                throw new Error('未找到二维码');
+            }
+        } catch (error) {
+            lastError = error;
+            logErrorWithFlush(`[二维码] 失败 (尝试 ${i + 1}):`, error.message);
+            await diagnostics.capture(recorder, { operation: 'getQRCode', account, error });
+            if (account.loginPage && !account.loginPage.isClosed()) {
+                await account.loginPage.close().catch(() => {});
+            }
+            account.loginPage = null;
+            if (taskAborted()) break;
+            if (i < maxRetries - 1) {
+                metrics.retries.inc({ operation: 'getQRCode' });
+                await new Promise(resolve => setTimeout(resolve, 2000));
+            }
+        }
+    }
+    
+    throw lastError || new Error('获取二维码失败');
+}
+
+// 只读取登录页当前的状态，不做任何处理：success | error | expired | scanned | waiting
+async function readLoginPageState(loginPage) {
+    if (isLoggedInUrl(loginPage.url())) {
+        return { status: 'success', message: '登录成功' };
+    }
+
+    const errorElement = await loginPage.$(siteProfile.selectors.loginError).catch(() => null);
+    if (errorElement) {
+        return { status: 'error', message: await errorElement.textContent() };
+    }
+
+    const expiredElement = await loginPage.$(siteProfile.selectors.qrExpired).catch(() => null);
+    if (expiredElement) {
+        return { status: 'expired', message: '二维码已过期' };
+    }
+
+    const statusElements = await loginPage.$$(siteProfile.selectors.scanStatus).catch(() => []);
+    for (const element of statusElements) {
+        const text = await element.textContent().catch(() => '');
+        if (siteProfile.texts.scanned.some(keyword => text.includes(keyword))) {
+            return { status: 'scanned', message: '扫描成功，请在手机上确认登录' };
+        }
+    }
+    return { status: 'waiting', message: '等待扫码' };
+}
+
+async function checkScanStatus(account) {
+    const loginPage = account.loginPage;
+    try {
+        if (account.isLoggedIn) {
+            return { status: 'success', message: '登录成功（已缓存）' };
+        }
+
+        if (!loginPage || loginPage.isClosed()) {
+            return { status: 'waiting', message: '页面已关闭，请刷新二维码' };
+        }
+
+        browserManager.updateActivity();
+        await loginPage.waitForLoadState('domcontentloaded', { timeout: 5000 }).catch(() => {});
+        const state = await readLoginPageState(loginPage);
+        
+        if (state.status === 'success') {
+            account.isLoggedIn = true;
+            account.sessionExpiredAt = null;
+            account.lastActivityTime = Date.now();
+            logWithFlush(`[扫码状态] ✅ 用户扫码登录成功！(账号: ${account.id})`);
+            await browserManager.saveSessionNow(account);
+            webhookManager.emit('login.completed', { accountId: account.id });
+            await loginPage.close().catch(() => {});
+            account.loginPage = null;
+            return { status: 'success', message: '登录成功' };
+        }
+
+        if (state.status === 'error') {
+            return { status: 'error', message: state.message };
+        }
+
+        if (state.status === 'expired') {
+            await loginPage.close().catch(() => {});
+            account.loginPage = null;
+            return { status: 'error', message: '二维码已过期，请刷新' };
+        }
+
+        return { status: 'waiting', message: state.message };
+    } catch (error) {
+        logErrorWithFlush('[扫码状态] 失败:', error.message);
+        if (loginPage && !loginPage.isClosed()) {
+            await loginPage.close().catch(() => {});
+        }
+        account.loginPage = null;
+        return { status: 'error', message: '检查状态失败: ' + error.message };
+    }
+}
+
+const DUPLICATE_CHECK_WINDOW = 10 * 60 * 1000;
+
+class DuplicateCheckError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DuplicateCheckError';
+    }
+}
+
+// 去掉链接和空白后比较，微博会把正文中的链接替换为短链
+function normalizePostText(text) {
+    return String(text || '').replace(/https?:\/\/\S+/g, '').replace(/\s+/g, '');
+}
+
+// 在当前账号最近发出的微博里查找内容相同的一条，用于重试前确认上一次点击是否已生效
+async function findRecentPost(page, content) {
+    const posts = await page.evaluate(async (apiPath) => {
+        const uid = window.$CONFIG?.user?.idstr || window.$CONFIG?.user?.id;
+        if (!uid) throw new Error('无法获取当前用户 uid');
+        const response = await fetch(`${apiPath}?uid=${uid}&page=1&feature=0`, { credentials: 'include' });
+        const data = await response.json();
+        return (data?.data?.list || []).map(item => ({
+            idstr: item.idstr,
+            text_raw: item.text_raw,
+            created_at: item.created_at
+        }));
+    }, siteProfile.urls.myPostsApi);
+
+    const target = normalizePostText(content);
+    return posts.find(post =>
+        normalizePostText(post.text_raw) === target &&
+        Date.now() - Date.parse(post.created_at) < DUPLICATE_CHECK_WINDOW
+    ) || null;
+}
+
+// 发布器选项：可见范围和定时发布没有稳定的页面入口，改为在发布请求中写入对应字段，字段名和取值见站点配置 composer
+const POST_VISIBILITIES = Object.keys(siteProfile.composer.visibility)
+    .filter(key => siteProfile.composer.visibility[key] !== null);
+const POST_MAX_TOPICS = 5;
+const POST_SCHEDULE_MIN_LEAD = 5 * 60 * 1000;
+
+// 校验发布器选项，返回 { options } 或 { error }；默认值（公开、立即发布）不写入 options
+function parseComposerOptions({ visibility, topics, scheduledAt } = {}) {
+    const options = {};
+    if (visibility !== undefined && visibility !== null && visibility !== 'public') {
+        if (!POST_VISIBILITIES.includes(visibility)) {
+            return { error: `visibility 必须是以下取值之一: ${POST_VISIBILITIES.join(', ')}` };
+        }
+        options.visibility = visibility;
+    }
+
+    if (topics !== undefined && topics !== null) {
+        // multipart 表单中只有一个话题时是字符串
+        const list = typeof topics === 'string' ? [topics] : topics;
+        if (!Array.isArray(list) || list.length > POST_MAX_TOPICS ||
+            list.some(topic => typeof topic !== 'string' || !/^[^#\n]{1,32}$/.test(topic.trim()))) {
+            return { error: `topics 最多 ${POST_MAX_TOPICS} 个，每个 1-32 个字符且不能包含 #` };
+        }
+        if (list.length > 0) options.topics = [...new Set(list.map(topic => topic.trim()))];
+    }
+
+    if (scheduledAt !== undefined && scheduledAt !== null) {
+        if (!siteProfile.composer.schedule) {
+            return { error: '当前站点配置不支持微博定时发布，可改用 /api/schedule 由本服务定时发送' };
+        }
+        const time = typeof scheduledAt === 'number' ? scheduledAt : Date.parse(scheduledAt);
+        if (!Number.isFinite(time) || time < Date.now() + POST_SCHEDULE_MIN_LEAD) {
+            return { error: 'scheduledAt 必须是至少 5 分钟之后的时间' };
+        }
+        options.scheduledAt = new Date(time).toISOString();
+    }
+    return { options };
+}
+
+// 话题以 #话题# 的形式追加到正文末尾，正文中已有的不重复添加
+function applyTopics(content, topics = []) {
+    const missing = topics.filter(topic => !content.includes(`#${topic}#`));
+    if (missing.length === 0) return content;
+    return [content, missing.map(topic => `#${topic}#`).join(' ')].filter(Boolean).join(' ');
+}
+
+function composerFields(options = {}) {
+    const { composer } = siteProfile;
+    const fields = {};
+    if (options.visibility) {
+        fields[composer.visibilityField] = composer.visibility[options.visibility];
+    }
+    if (options.scheduledAt) {
+        const { field, format } = composer.schedule;
+        fields[field] = format === 'iso' ? options.scheduledAt : String(Math.floor(Date.parse(options.scheduledAt) / 1000));
+    }
+    return fields;
+}
+
+// 拦截发布请求写入选项字段；无法识别请求格式时直接拒绝，不能退回默认的公开发布
+async function applyComposerOptions(page, options) {
+    const fields = composerFields(options);
+    if (Object.keys(fields).length === 0) return;
+
+    await page.route(url => url.href.includes(siteProfile.urls.postApi), async (route) => {
+        const request = route.request();
+        if (request.method() !== 'POST') return route.continue();
+        const contentType = request.headers()['content-type'] || '';
+        if (contentType.includes('application/json')) {
+            return route.continue({ postData: JSON.stringify({ ...request.postDataJSON(), ...fields }) });
+        }
+        if (contentType.includes('application/x-www-form-urlencoded')) {
+            const body = new URLSearchParams(request.postData() || '');
+            for (const [key, value] of Object.entries(fields)) body.set(key, value);
+            return route.continue({ postData: body.toString() });
+        }
+        logErrorWithFlush(`[发送微博] 无法识别的发布请求格式: ${contentType}`);
+        return route.fulfill({
+            contentType: 'application/json',
+            body: JSON.stringify({ ok: 0, msg: '无法在发布请求中设置可见范围或定时发布，已取消发送' })
+        });
+    });
+}
+
+async function postWeibo(account, content, options = {}) {
+    const media = { images: options.images || [], video: options.video || null };
+    const composer = options.composer || {};
+    const maxRetries = 2;
+    let lastError;
+    let attempts = 0;
+    const startedAt = new Date().toISOString();
+
+    // 无论成败都写入发送记录并推送 Webhook
+    const finish = ({ weiboId = null, error = null, via = 'browser' }) => {
+        postHistory.add({
+            kind: 'post',
+            accountId: account.id,
+            content,
+            imageCount: media.images.length,
+            hasVideo: Boolean(media.video),
+            visibility: composer.visibility || 'public',
+            topics: composer.topics || [],
+            scheduledAt: composer.scheduledAt || null,
+            source: options.meta?.source || 'api',
+            client: options.meta?.client || null,
+            requestedAt: options.meta?.requestedAt || startedAt,
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            retries: Math.max(0, attempts - 1),
+            status: error ? 'failed' : 'succeeded',
+            via,
+            weiboId,
+            error
+        });
+        if (error) {
+            webhookManager.emit('post.failed', { accountId: account.id, content, error });
+        } else {
+            rateLimiter.record(account.id, options.meta?.client?.tokenId);
+            webhookManager.emit('post.succeeded', { accountId: account.id, weiboId, content });
+        }
+    };
+
+    // 点击发送后没有拿到明确结果时，下一次尝试前需要先确认是否已经发出
+    let unconfirmedClick = Boolean(options.checkDuplicate);
+
+    // 附件要在页面中上传，待确认的重试要在页面中查找最近的微博，这两种情况始终使用浏览器
+    if (POST_MODE !== 'browser' && !media.images.length && !media.video && !unconfirmedClick) {
+        attempts = 1;
+        logWithFlush(`[发送微博] HTTP 直连发送 (账号: ${account.id})`);
+        const { succeeded, result, error, fallback } = await tryDirect('发送微博', 'postWeibo', async () => {
+            const data = await callWeiboApiDirect(account, siteProfile.urls.postApi, {
+                content,
+                [siteProfile.composer.visibilityField]: siteProfile.composer.visibility.public,
+                ...composerFields(composer)
+            }, { form: true });
+            if (data.ok !== 1) {
+                throw new Error(`接口返回失败: ${data.msg || '未知错误'}`);
+            }
+            return data.data || {};
+        }, { confirmable: true });
+        if (succeeded) {
+            logWithFlush('[发送微博] ✅ 发送成功!');
+            finish({ weiboId: result.idstr || null, via: 'http' });
+            return {
+                success: true,
+                message: '微博发送成功',
+                weiboId: result.idstr,
+                content: result.text_raw || content
+            };
+        }
+        if (!fallback) {
+            finish({ error: error.message, via: 'http' });
+            throw error;
+        }
+        unconfirmedClick = error.sent;
+    }
+
+    // 服务重启后登录状态尚未检查过，有会话文件时先确认一次
+    if (!account.isLoggedIn && await fs.pathExists(account.sessionFile)) {
+        await checkLoginStatus(account).catch(() => {});
+    }
+    
+    for (let i = 0; i < maxRetries; i++) {
+        let page = null;
+        let warm = null;
+        let recorder = null;
+        let reusable = false;
+        attempts += 1;
+        try {
+            logWithFlush(`[发送微博] 开始发送 (账号: ${account.id}, 尝试 ${i + 1}/${maxRetries})`);
+            
+            if (!account.isLoggedIn) throw new Error('用户未登录');
+            const context = await initBrowser(account);
+            browserManager.updateActivity();
+            
+            warm = await browserManager.takeWarmPage(account);
+            page = warm ? warm.page : await context.newPage();
+            recorder = diagnostics.watch(page);
+            if (!warm) {
+                await page.goto(siteProfile.urls.home, { waitUntil: 'domcontentloaded', timeout: 20000 });
+            }
+            await page.waitForSelector(siteProfile.selectors.composer, { timeout: 10000 });
+
+            if (unconfirmedClick && composer.scheduledAt) {
+                // 定时发布的微博在发出前不会出现在微博列表中，无法确认
+                throw new DuplicateCheckError('无法确认上一次定时发布是否已提交，已停止重试以免重复发送');
+            }
+            if (unconfirmedClick) {
+                logWithFlush('[发送微博] 检查上一次尝试是否已发出...');
+                const existing = await findRecentPost(page, content).catch((error) => {
+                    throw new DuplicateCheckError(`无法确认上一次尝试是否已发出，已停止重试以免重复发送: ${error.message}`);
+                });
+                if (existing) {
+                    logWithFlush(`[发送微博] ✅ 上一次尝试已发出 (weiboId: ${existing.idstr})，不再重复发送`);
+                    reusable = true;
+                    await browserManager.saveSessionNow(account);
+                    finish({ weiboId: existing.idstr });
+                    return {
+                        success: true,
+                        message: '微博发送成功',
+                        weiboId: existing.idstr,
+                        content: existing.text_raw || content,
+                        deduplicated: true
+                    };
+                }
+                unconfirmedClick = false;
+            }
+
+            await page.fill(siteProfile.selectors.composer, content);
+            await attachMedia(page, media);
+            await applyComposerOptions(page, composer);
+            await page.waitForSelector(`${siteProfile.selectors.sendButton}:not([disabled])`, { timeout: 10000 });
+
+            throwIfTaskAborted();
+            unconfirmedClick = true;
+            const [response] = await Promise.all([
+                page.waitForResponse(res => res.url().includes(siteProfile.urls.postApi) && res.status() === 200, { timeout: 15000 }),
+                page.click(siteProfile.selectors.sendButton),
+            ]);
+
+            const result = await response.json();
+            unconfirmedClick = false;
+            if (result.ok === 1) {
+                account.lastActivityTime = Date.now();
+                logWithFlush('[发送微博] ✅ 发送成功!');
+                reusable = true;
+                // 发送成功后保存会话
+                await browserManager.saveSessionNow(account);
+                finish({ weiboId: result.data?.idstr || null });
+                return {
+                    success: true, 
+                    message: '微博发送成功',
+                    weiboId: result.data?.idstr, 
+                    content: result.data?.text_raw || content,
+                };
+            } else {
+                throw new Error(`接口返回失败: ${result.msg || '未知错误'}`);
+            }
+        } catch (error) {
+            lastError = error;
+            logErrorWithFlush(`[发送微博] 失败 (尝试 ${i + 1}):`, error.message);
+            await diagnostics.capture(recorder, { operation: 'postWeibo', account, error });
+            if (error instanceof DuplicateCheckError || taskAborted()) {
+                break;
+            }
+            if (i < maxRetries - 1) {
+                metrics.retries.inc({ operation: 'postWeibo' });
+                await new Promise(resolve => setTimeout(resolve, 3000));
+            }
+        } finally {
+            if (recorder) recorder.stop();
+            if (page) {
+                // 失败的页面状态不确定，不再复用
+                await browserManager.releasePage(account, page, { reusable, loadedAt: warm?.loadedAt });
+            }
+        }
+    }
+    
+    lastError = lastError || new Error('发送微博失败');
+    finish({ error: lastError.message });
+    throw lastError;
+}
+
+// 在已登录的微博首页里调用站内接口，沿用网页自身的 Cookie 和 XSRF 令牌
+async function callWeiboApi(page, apiPath, body, { form = false } = {}) {
+    throwIfTaskAborted();
+    return page.evaluate(async ({ apiPath, body, form }) => {
+        const xsrf = document.cookie.match(/(?:^|;\s*)XSRF-TOKEN=([^;]+)/)?.[1];
+        const response = await fetch(apiPath, {
+            method: 'POST',
+            credentials: 'include',
+            headers: {
+                'Content-Type': form ? 'application/x-www-form-urlencoded' : 'application/json',
+                ...(xsrf ? { 'X-XSRF-TOKEN': decodeURIComponent(xsrf) } : {})
+            },
+            body: form ? new URLSearchParams(body).toString() : JSON.stringify(body)
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+    }, { apiPath, body, form });
+}
+
+// 打开微博首页执行一次操作，失败重试，成功后保存会话；retryable 返回 false 时不再重试
+async function withWeiboPage(account, tag, action, { onAttempt, retryable } = {}) {
+    const maxRetries = 2;
     let lastError;
+
+    if (!account.isLoggedIn && await fs.pathExists(account.sessionFile)) {
+        await checkLoginStatus(account).catch(() => {});
+    }
+
+    for (let i = 0; i < maxRetries; i++) {
+        let page = null;
+        let warm = null;
+        let recorder = null;
+        let reusable = false;
+        if (onAttempt) onAttempt(i + 1);
+        try {
+            logWithFlush(`[${tag}] 开始执行 (账号: ${account.id}, 尝试 ${i + 1}/${maxRetries})`);
+            if (!account.isLoggedIn) throw new Error('用户未登录');
+            const context = await initBrowser(account);
+            browserManager.updateActivity();
+
+            warm = await browserManager.takeWarmPage(account);
+            page = warm ? warm.page : await context.newPage();
+            recorder = diagnostics.watch(page);
+            if (!warm) {
+                await page.goto(siteProfile.urls.home, { waitUntil: 'domcontentloaded', timeout: 20000 });
+            }
+
+            const result = await action(page);
+            reusable = true;
+            account.lastActivityTime = Date.now();
+            await browserManager.saveSessionNow(account);
+            return result;
+        } catch (error) {
+            lastError = error;
+            logErrorWithFlush(`[${tag}] 失败 (尝试 ${i + 1}):`, error.message);
+            await diagnostics.capture(recorder, { operation: requestQueue.currentOperation || 'weiboPage', account, error });
+            if (taskAborted() || (retryable && !retryable(error))) break;
+            if (i < maxRetries - 1) {
+                metrics.retries.inc({ operation: requestQueue.currentOperation || 'unknown' });
+                await new Promise(resolve => setTimeout(resolve, 3000));
+            }
+        } finally {
+            if (recorder) recorder.stop();
+            if (page) {
+                await browserManager.releasePage(account, page, { reusable, loadedAt: warm?.loadedAt });
+            }
+        }
+    }
+    throw lastError || new Error(`${tag}失败`);
+}
+
+// 按 POST_MODE 调用站内接口执行一次操作：action 收到 call(apiPath, body, { form })，直连失败时在浏览器页面中重新执行。
+// idempotent 表示重复执行没有副作用（如删除），请求发出后失败也可以改用浏览器和重试
+async function withWeiboApi(account, tag, action, { onAttempt, idempotent = false } = {}) {
+    let offset = 0;
+    if (POST_MODE !== 'browser') {
+        if (onAttempt) onAttempt(1);
+        offset = 1;
+        const operation = requestQueue.currentOperation || 'unknown';
+        const { succeeded, result, error, fallback } = await tryDirect(tag, operation, () =>
+            action((apiPath, body, options) => callWeiboApiDirect(account, apiPath, body, options)),
+            { confirmable: idempotent }
+        );
+        if (succeeded) return result;
+        if (!fallback) {
+            throw error instanceof DirectApiError && error.sent && !idempotent
+                ? new Error(`${tag}结果未知，已停止重试以免重复: ${error.message}`)
+                : error;
+        }
+    }
+    const browserAttempt = onAttempt && ((attempt) => onAttempt(attempt + offset));
+    // 接口请求已在页面中发出后失败的，要么是业务错误，要么无法确定是否已被受理，都不再重试；
+    // idempotent 的操作只有拿到接口响应（业务错误）时才不再重试
+    let sent = false;
+    let answered = false;
+    return withWeiboPage(account, tag, (page) => action(async (apiPath, body, options) => {
+        sent = true;
+        const result = await callWeiboApi(page, apiPath, body, options);
+        answered = true;
+        return result;
+    }), {
+        onAttempt: browserAttempt,
+        retryable: () => {
+            if (idempotent) return !answered;
+            if (sent) logWarnWithFlush(`[${tag}] 请求已发出，不再重试以免重复`);
+            return !sent;
+        }
+    });
+}
+
+async function deleteWeibo(account, weiboId) {
+    await withWeiboApi(account, '删除微博', async (call) => {
+        const result = await call(siteProfile.urls.deletePostApi, { id: weiboId });
+        if (result.ok !== 1) {
+            throw new Error(`接口返回失败: ${result.msg || '未知错误'}`);
+        }
+    }, { idempotent: true });
+    logWithFlush(`[删除微博] ✅ 已删除 ${weiboId} (账号: ${account.id})`);
+
+    const deletedAt = new Date().toISOString();
+    for (const record of postHistory.findByWeiboId(weiboId)) {
+        postHistory.update(record.id, { deletedAt });
+    }
+    return { success: true, message: '微博已删除', weiboId };
+}
+
+const WEIBO_INTERACTIONS = {
+    comment: { tag: '发表评论', api: 'commentApi', idField: 'commentId', message: '评论成功' },
+    repost: { tag: '转发微博', api: 'repostApi', idField: 'weiboId', message: '转发成功' }
+};
+
+// 评论或转发一条微博，结果和发送一样写入发送记录
+async function interactWithWeibo(account, kind, targetId, content, options = {}) {
+    const { tag, api, idField, message } = WEIBO_INTERACTIONS[kind];
+    const startedAt = new Date().toISOString();
+    let attempts = 0;
+
+    const finish = ({ id = null, error = null }) => {
+        postHistory.add({
+            kind,
+            accountId: account.id,
+            targetId,
+            content,
+            source: options.meta?.source || 'api',
+            client: options.meta?.client || null,
+            requestedAt: options.meta?.requestedAt || startedAt,
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            retries: Math.max(0, attempts - 1),
+            status: error ? 'failed' : 'succeeded',
+            [idField]: id,
+            error
+        });
+        if (!error) rateLimiter.record(account.id, options.meta?.client?.tokenId);
+    };
+
+    try {
+        const result = await withWeiboApi(account, tag, async (call) => {
+            const data = await call(siteProfile.urls[api], {
+                id: targetId,
+                // 网页端不填转发理由时默认提交“转发微博”
+                comment: content || (kind === 'repost' ? '转发微博' : ''),
+                pic_id: '',
+                is_repost: 0,
+                comment_ori: 0,
+                is_comment: 0
+            }, { form: true });
+            if (data.ok !== 1) {
+                throw new Error(`接口返回失败: ${data.msg || '未知错误'}`);
+            }
+            return data.data || data;
+        }, { onAttempt: (attempt) => { attempts = attempt; } });
+        const id = result.idstr || (result.id ? String(result.id) : null);
+        logWithFlush(`[${tag}] ✅ 成功 (目标: ${targetId}, 新 ID: ${id})`);
+        finish({ id });
+        return { success: true, message, [idField]: id, targetId, content: result.text_raw || content };
+    } catch (error) {
+        finish({ error: error.message });
+        throw error;
+    }
+}
+
+// 删除发送记录中某段时间内经由本服务发出、尚未删除的微博，逐条执行，单条失败不影响其余
+async function deletePostsInRange({ accountId, from, to }) {
+    const records = postHistory.listPublished({ accountId, from, to });
+    const deleted = [];
+    const failed = [];
+    for (const record of records) {
+        throwIfTaskAborted();
+        const account = accountRegistry.get(record.accountId);
+        try {
+            if (!account) throw new Error(`账号不存在: ${record.accountId}`);
+            await deleteWeibo(account, record.weiboId);
+            deleted.push(record.weiboId);
+        } catch (error) {
+            failed.push({ weiboId: record.weiboId, accountId: record.accountId, error: error.message });
+        }
+    }
+    logWithFlush(`[删除微博] 批量删除完成: 成功 ${deleted.length}，失败 ${failed.length}`);
+    return { total: records.length, deleted, failed };
+}
+
+// ========================= 扫码登录事件 =========================
+const LOGIN_WATCH_INTERVAL = 1000;
+const LOGIN_EVENTS_TIMEOUT = 5 * 60 * 1000;
+const LOGIN_EVENTS_PING_INTERVAL = 15000;
+const LOGIN_QR_MAX_REFRESHES = 5;
+
+// 获取二维码，并截取二维码图片，客户端无需再访问微博的图片地址
+async function captureQRCode(account) {
+    const qrCodeUrl = await getQRCode(account);
+    const image = await account.loginPage.locator(siteProfile.selectors.qrCode).first()
+        .screenshot({ timeout: 5000 })
+        .then(buffer => `data:image/png;base64,${buffer.toString('base64')}`)
+        .catch(() => null);
+    return { qrCodeUrl, image };
+}
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// 每个账号一个观察者，直接读取登录页状态推送给所有订阅的事件流，
+// 只有获取二维码和登录成功后的保存会话才进入请求队列
+class LoginWatcher {
+    constructor(account) {
+        this.account = account;
+        this.clients = new Set();
+        this.state = null;
+        this.qrCode = null;
+        this.refreshes = 0;
+        this.busy = false;
+        this.timer = null;
+        this.stopped = false;
+        this.startedAt = Date.now();
+    }
+
+    subscribe(res) {
+        this.clients.add(res);
+        if (this.qrCode) sendEvent(res, 'qrcode', this.qrCode);
+        if (this.state) sendEvent(res, 'status', this.state);
+        if (!this.timer && !this.busy) this.start();
+    }
+
+    unsubscribe(res) {
+        this.clients.delete(res);
+        if (this.clients.size === 0) this.stop();
+    }
+
+    broadcast(event, data) {
+        for (const res of this.clients) {
+            sendEvent(res, event, data);
+        }
+    }
+
+    setState(status, message) {
+        if (this.state?.status === status && this.state?.message === message) return;
+        this.state = { status, message };
+        this.broadcast('status', this.state);
+    }
+
+    async start() {
+        await this.refreshQRCode(false);
+        if (this.stopped) return;
+        this.timer = setInterval(() => this.tick(), LOGIN_WATCH_INTERVAL);
+    }
+
+    stop() {
+        if (this.stopped) return;
+        this.stopped = true;
+        clearInterval(this.timer);
+        if (loginWatchers.get(this.account.id) === this) {
+            loginWatchers.delete(this.account.id);
+        }
+        for (const res of this.clients) {
+            res.end();
+        }
+        this.clients.clear();
+    }
+
+    // 结束状态推送后关闭所有事件流
+    finish(status, message) {
+        this.setState(status, message);
+        this.stop();
+    }
+
+    async refreshQRCode(refreshed) {
+        this.busy = true;
+        try {
+            const qrCode = await requestQueue.enqueue(() => captureQRCode(this.account), 'getQRCode', { signal: null });
+            if (this.stopped) return;
+            this.qrCode = { ...qrCode, refreshed };
+            this.broadcast('qrcode', this.qrCode);
+            this.setState('waiting', '请使用微博手机APP扫码登录');
+        } catch (error) {
+            this.finish('error', '获取二维码失败: ' + error.message);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    async tick() {
+        if (this.busy || this.stopped) return;
+        if (Date.now() - this.startedAt > LOGIN_EVENTS_TIMEOUT) {
+            return this.finish('timeout', '扫码已超时，请刷新二维码重试');
+        }
+
+        this.busy = true;
+        try {
+            browserManager.updateActivity();
+            const page = this.account.loginPage;
+            const state = this.account.isLoggedIn
+                ? { status: 'success' }
+                : page && !page.isClosed() ? await readLoginPageState(page) : { status: 'closed' };
+
+            if (state.status === 'success') {
+                // 由 checkScanStatus 保存会话并推送 login.completed
+                const result = await requestQueue.enqueue(() => checkScanStatus(this.account), 'checkScanStatus', { signal: null });
+                this.finish(result.status === 'success' ? 'success' : 'error', result.message);
+            } else if (state.status === 'error') {
+                this.finish('error', state.message);
+            } else if (state.status === 'expired' || state.status === 'closed') {
+                if (this.refreshes >= LOGIN_QR_MAX_REFRESHES) {
+                    return this.finish('timeout', '二维码多次过期，请刷新二维码重试');
+                }
+                this.refreshes++;
+                this.setState('expired', '二维码已过期，正在自动刷新');
+                logWithFlush(`[扫码登录] 二维码已过期，自动刷新 (账号: ${this.account.id}, 第 ${this.refreshes} 次)`);
+                this.busy = false;
+                await this.refreshQRCode(true);
+            } else {
+                this.setState(state.status, state.message);
+            }
+        } catch (error) {
+            logErrorWithFlush('[扫码登录] 读取登录页状态失败:', error.message);
+        } finally {
+            this.busy = false;
+        }
+    }
+}
+
+const loginWatchers = new Map();
+
+// ========================= 发送记录 =========================
+const POST_HISTORY_FILE = path.join(DATA_DIR, 'posts.jsonl');
+
+// 追加写入的 JSONL 文件，同一 id 的后续行是对前面记录的补充更新，读取时按 id 合并
+class PostHistory {
+    constructor(file) {
+        this.file = file;
+        this.records = new Map();
+        this.writing = Promise.resolve();
+    }
+
+    load() {
+        this.records.clear();
+        if (!fs.pathExistsSync(this.file)) return;
+        const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                this.records.set(entry.id, { ...this.records.get(entry.id), ...entry });
+            } catch {
+                // 进程中途退出可能留下半行，忽略
+            }
+        }
+        logWithFlush(`[发送记录] 已加载 ${this.records.size} 条记录`);
+    }
+
+    append(entry) {
+        this.writing = this.writing
+            .then(() => fs.appendFile(this.file, JSON.stringify(entry) + '\n'))
+            .catch(error => logErrorWithFlush('[发送记录] 写入失败:', error.message));
+        return this.writing;
+    }
+
+    add(record) {
+        const entry = { id: crypto.randomUUID(), ...record };
+        this.records.set(entry.id, entry);
+        this.append(entry);
+        return entry;
+    }
+
+    update(id, patch) {
+        const record = this.records.get(id);
+        if (!record) return null;
+        Object.assign(record, patch);
+        this.append({ id, ...patch });
+        return record;
+    }
+
+    findByWeiboId(weiboId) {
+        return [...this.records.values()].filter(record => record.weiboId === weiboId);
+    }
+
+    // 时间范围内发送成功且尚未删除的记录，同一条微博只返回一次
+    listPublished({ accountId, from, to }) {
+        const fromTime = Date.parse(from);
+        const toTime = Date.parse(to);
+        const seen = new Set();
+        return [...this.records.values()].filter(record => {
+            const time = Date.parse(record.startedAt);
+            if (record.status !== 'succeeded' || !record.weiboId || record.deletedAt) return false;
+            if (accountId && record.accountId !== accountId) return false;
+            if (time < fromTime || time > toTime || seen.has(record.weiboId)) return false;
+            seen.add(record.weiboId);
+            return true;
+        });
+    }
+
+    query({ accountId, kind, status, from, to, q, page = 1, pageSize = 20 } = {}) {
+        const fromTime = from ? Date.parse(from) : -Infinity;
+        const toTime = to ? Date.parse(to) : Infinity;
+        const keyword = q ? q.toLowerCase() : null;
+
+        const matched = [...this.records.values()]
+            .filter(record => {
+                const time = Date.parse(record.startedAt);
+                if (accountId && record.accountId !== accountId) return false;
+                if (kind && (record.kind || 'post') !== kind) return false;
+                if (status && record.status !== status) return false;
+                if (time < fromTime || time > toTime) return false;
+                if (keyword) {
+                    const text = [record.content, record.error, record.weiboId, record.commentId, record.targetId, record.client?.name]
+                        .filter(Boolean).join('\n').toLowerCase();
+                    if (!text.includes(keyword)) return false;
+                }
+                return true;
+            })
+            .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt));
+
+        return {
+            total: matched.length,
+            page,
+            pageSize,
+            items: matched.slice((page - 1) * pageSize, page * pageSize)
+        };
+    }
+}
+
+const postHistory = new PostHistory(POST_HISTORY_FILE);
+postHistory.load();
+
+// ========================= 发送频率限制 =========================
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const RATE_LIMIT_POLICY = {
+    minInterval: (parseFloat(process.env.POST_MIN_INTERVAL_SECONDS) || 0) * 1000,
+    hourly: parseInt(process.env.POST_HOURLY_LIMIT, 10) || 0,
+    daily: parseInt(process.env.POST_DAILY_LIMIT, 10) || 0,
+    tokenHourly: parseInt(process.env.TOKEN_HOURLY_LIMIT, 10) || 0,
+    tokenDaily: parseInt(process.env.TOKEN_DAILY_LIMIT, 10) || 0,
+    jitter: (parseFloat(process.env.POST_JITTER_SECONDS) || 0) * 1000,
+    maxDefer: (parseFloat(process.env.RATE_LIMIT_MAX_DEFER_SECONDS) || 600) * 1000
+};
+// 评论和转发同样会在微博上产生内容，和发送一起计数
+const PUBLISH_JOB_TYPES = ['post', 'comment', 'repost'];
+
+class RateLimitError extends Error {
+    constructor(message, retryAfter) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+// 按账号限制发送间隔和每小时/每天的条数，按 Token 限制配额。
+// 计数来自发送记录中成功的条目，加上已受理但尚未执行完的请求
+class PostRateLimiter {
+    constructor(policy) {
+        this.policy = policy;
+        this.events = [];
+        this.reservations = new Set();
+    }
+
+    seed(records) {
+        const since = Date.now() - DAY;
+        for (const record of records) {
+            const at = Date.parse(record.finishedAt || record.startedAt);
+            if (record.status === 'succeeded' && at > since) {
+                this.events.push({ accountId: record.accountId, tokenId: record.client?.tokenId || null, at });
+            }
+        }
+        this.events.sort((a, b) => a.at - b.at);
+    }
+
+    record(accountId, tokenId) {
+        this.events.push({ accountId, tokenId: tokenId || null, at: Date.now() });
+        const since = Date.now() - DAY;
+        while (this.events.length > 0 && this.events[0].at <= since) {
+            this.events.shift();
+        }
+    }
+
+    // 排队中的异步任务也算作待发送
+    pending() {
+        const jobs = jobManager.list()
+            .filter(job => PUBLISH_JOB_TYPES.includes(job.type) && (job.state === 'queued' || job.state === 'running'))
+            .map(job => ({
+                accountId: job.params.accountId,
+                tokenId: job.params.meta?.client?.tokenId || null,
+                at: Date.parse(job.createdAt)
+            }));
+        return [...this.reservations, ...jobs];
+    }
+
+    // 返回还需等待的毫秒数及原因，0 表示可以立即发送
+    check(accountId, token) {
+        const now = Date.now();
+        const pending = this.pending();
+        const all = [...this.events, ...pending];
+        let wait = 0;
+        let reason = null;
+        const limitBy = (entries, limit, windowMs, label) => {
+            if (!limit) return;
+            const inWindow = entries.filter(entry => entry.at > now - windowMs).sort((a, b) => a.at - b.at);
+            if (inWindow.length < limit) return;
+            const until = inWindow[inWindow.length - limit].at + windowMs - now;
+            if (until > wait) {
+                wait = until;
+                reason = label;
+            }
+        };
+
+        const accountEntries = all.filter(entry => entry.accountId === accountId);
+        if (this.policy.minInterval) {
+            const until = pending.some(entry => entry.accountId === accountId)
+                ? this.policy.minInterval
+                : Math.max(0, ...accountEntries.map(entry => entry.at)) + this.policy.minInterval - now;
+            if (until > wait) {
+                wait = until;
+                reason = `账号 ${accountId} 两次发送至少间隔 ${this.policy.minInterval / 1000} 秒`;
+            }
+        }
+        limitBy(accountEntries, this.policy.hourly, HOUR, `账号 ${accountId} 每小时最多发送 ${this.policy.hourly} 条`);
+        limitBy(accountEntries, this.policy.daily, DAY, `账号 ${accountId} 每天最多发送 ${this.policy.daily} 条`);
+
+        if (token) {
+            const tokenEntries = all.filter(entry => entry.tokenId === token.id);
+            const hourly = token.quota?.hourly ?? this.policy.tokenHourly;
+            const daily = token.quota?.daily ?? this.policy.tokenDaily;
+            limitBy(tokenEntries, hourly, HOUR, `Token ${token.name} 每小时最多发送 ${hourly} 条`);
+            limitBy(tokenEntries, daily, DAY, `Token ${token.name} 每天最多发送 ${daily} 条`);
+        }
+        return { wait: Math.ceil(wait), reason };
+    }
+
+    // 同步请求：占用一个发送名额，返回释放函数。defer 时在限制解除前等待（不超过 maxDefer）
+    async acquire(accountId, token, { defer = false } = {}) {
+        const deadline = Date.now() + this.policy.maxDefer;
+        for (;;) {
+            const { wait, reason } = this.check(accountId, token);
+            if (wait === 0) {
+                const reservation = { accountId, tokenId: token?.id || null, at: Date.now() };
+                this.reservations.add(reservation);
+                return () => this.reservations.delete(reservation);
+            }
+            if (!defer || Date.now() + wait > deadline) {
+                throw new RateLimitError(`发送过于频繁：${reason}`, Math.ceil(wait / 1000));
+            }
+            logWithFlush(`[频率限制] ${reason}，推迟 ${Math.ceil(wait / 1000)} 秒`);
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+    }
+
+    // 异步请求：任务本身计入待发送，只需算出推迟到何时执行
+    admit(accountId, token, { defer = false } = {}) {
+        const { wait, reason } = this.check(accountId, token);
+        if (wait > 0 && (!defer || wait > this.policy.maxDefer)) {
+            throw new RateLimitError(`发送过于频繁：${reason}`, Math.ceil(wait / 1000));
+        }
+        return wait > 0 ? new Date(Date.now() + wait).toISOString() : null;
+    }
+
+    // 距离该账号上一条发送满足最小间隔还需等待的毫秒数
+    publishDelay(accountId) {
+        const last = Math.max(0, ...this.events.filter(entry => entry.accountId === accountId).map(entry => entry.at));
+        return Math.max(0, last + this.policy.minInterval - Date.now());
+    }
+
+    jitter() {
+        return this.policy.jitter ? Math.floor(Math.random() * this.policy.jitter) : 0;
+    }
+
+    getStatus() {
+        const now = Date.now();
+        const pending = this.pending();
+        const count = (entries, windowMs) => entries.filter(entry => entry.at > now - windowMs).length;
+        const accounts = {};
+        for (const account of accountRegistry.list()) {
+            const entries = this.events.filter(entry => entry.accountId === account.id);
+            const last = entries.length > 0 ? entries[entries.length - 1].at : null;
+            accounts[account.id] = {
+                lastHour: count(entries, HOUR),
+                lastDay: count(entries, DAY),
+                pending: pending.filter(entry => entry.accountId === account.id).length,
+                lastPostAt: last && new Date(last).toISOString()
+            };
+        }
+        const tokens = {};
+        for (const entry of this.events) {
+            if (!entry.tokenId) continue;
+            tokens[entry.tokenId] = tokens[entry.tokenId] || { lastHour: 0, lastDay: 0 };
+            if (entry.at > now - HOUR) tokens[entry.tokenId].lastHour++;
+            tokens[entry.tokenId].lastDay++;
+        }
+        return {
+            policy: {
+                minIntervalSeconds: this.policy.minInterval / 1000,
+                hourly: this.policy.hourly,
+                daily: this.policy.daily,
+                tokenHourly: this.policy.tokenHourly,
+                tokenDaily: this.policy.tokenDaily,
+                jitterSeconds: this.policy.jitter / 1000
+            },
+            accounts,
+            tokens
+        };
+    }
+}
+
+const rateLimiter = new PostRateLimiter(RATE_LIMIT_POLICY);
+rateLimiter.seed(postHistory.records.values());
+
+const PUBLISH_NOT_READY = Symbol('publishNotReady');
+
+// 发送、评论和转发都经由这里入队：最小间隔和随机抖动在入队前等待，不占用队列。
+// 排队期间同账号又有一条发送完成、间隔不够时，退出队列重新等待
+async function enqueuePublish(accountId, operation, operationName, options = {}) {
+    const signal = options.signal === undefined ? requestContext.getStore()?.signal : options.signal;
+    let delay = rateLimiter.publishDelay(accountId) + rateLimiter.jitter();
+    for (;;) {
+        if (delay > 0) {
+            logWithFlush(`[频率限制] 发送前等待 ${Math.ceil(delay / 1000)} 秒 (账号: ${accountId})`);
+            await sleep(delay, null, { signal: signal || undefined }).catch(() => {
+                throw new QueueTaskError('客户端已断开，任务已取消', 499);
+            });
+        }
+        const result = await requestQueue.enqueue(
+            (taskSignal) => (rateLimiter.publishDelay(accountId) > 0 ? PUBLISH_NOT_READY : operation(taskSignal)),
+            operationName,
+            options
+        );
+        if (result !== PUBLISH_NOT_READY) return result;
+        delay = rateLimiter.publishDelay(accountId);
+    }
+}
+
+// 超出限制时返回 429；请求带 ?defer=1 时改为等待限制解除后再发送。
+// allowAsync 只用于会按 wantsAsync 改为提交异步任务的路由，其余路由一律占用名额后同步发送
+function enforceRateLimit({ allowAsync = false } = {}) {
+    return async (req, res, next) => {
+        const defer = req.query.defer === '1' || req.query.defer === 'true';
+        try {
+            if (allowAsync && wantsAsync(req)) {
+                req.notBefore = rateLimiter.admit(req.account.id, req.token, { defer });
+            } else {
+                req.releasePostSlot = await rateLimiter.acquire(req.account.id, req.token, { defer });
+            }
+            next();
+        } catch (error) {
+            if (!(error instanceof RateLimitError)) return next(error);
+            removeUploadedFiles(req);
+            logWithFlush(`[频率限制] 拒绝请求: ${error.message}`);
+            res.set('Retry-After', String(error.retryAfter));
+            res.status(429).json({ error: error.message, retryAfter: error.retryAfter });
+        }
+    };
+}
+
+// 发送记录中标识请求方，默认使用 Token 名称，客户端也可以通过 X-Client-Name 自报名称
+function getRequestClient(req) {
+    return {
+        name: req.get('X-Client-Name') || req.token?.name || null,
+        tokenId: req.token?.id || null,
+        ip: req.ip
+    };
+}
+
+// ========================= Webhook 通知 =========================
+const WEBHOOKS_FILE = path.join(DATA_DIR, 'webhooks.json');
+const WEBHOOK_DELIVERIES_FILE = path.join(DATA_DIR, 'webhook-deliveries.jsonl');
+const WEBHOOK_EVENTS = ['post.succeeded', 'post.failed', 'session.expired', 'login.required', 'login.completed'];
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const WEBHOOK_RETRY_BASE_DELAY = 10000;
+const WEBHOOK_TIMEOUT = 10000;
+const WEBHOOK_LOG_MAX_BYTES = 5 * 1024 * 1024;
+
+class WebhookManager {
+    constructor(file, logFile, { retryBaseDelay = WEBHOOK_RETRY_BASE_DELAY } = {}) {
+        this.file = file;
+        this.logFile = logFile;
+        this.retryBaseDelay = retryBaseDelay;
+        this.hooks = [];
+        this.saving = Promise.resolve();
+        this.logging = Promise.resolve();
+    }
+
+    load() {
+        try {
+            if (fs.pathExistsSync(this.file)) {
+                this.hooks = fs.readJsonSync(this.file);
+            }
+        } catch (error) {
+            logErrorWithFlush('[Webhook] 加载配置失败:', error.message);
+            this.hooks = [];
+        }
+    }
+
+    save() {
+        this.saving = this.saving
+            .then(() => writeJsonAtomic(this.file, this.hooks))
+            .catch(error => logErrorWithFlush('[Webhook] 保存配置失败:', error.message));
+        return this.saving;
+    }
+
+    // 环境变量中配置的地址共用 WEBHOOK_SECRET，不可通过接口删除；未设置密钥时不签名
+    getEnvHooks() {
+        return (process.env.WEBHOOK_URLS || '')
+            .split(',')
+            .map(url => url.trim())
+            .filter(Boolean)
+            .map((url, index) => ({
+                id: `env-${index + 1}`,
+                url,
+                secret: process.env.WEBHOOK_SECRET || null,
+                events: WEBHOOK_EVENTS,
+                source: 'env'
+            }));
+    }
+
+    list() {
+        return [...this.getEnvHooks(), ...this.hooks.map(hook => ({ ...hook, source: 'api' }))];
+    }
+
+    async add({ url, events, secret }) {
+        const hook = {
+            id: crypto.randomUUID(),
+            url,
+            secret: secret || crypto.randomBytes(32).toString('hex'),
+            events: events || WEBHOOK_EVENTS,
+            createdAt: new Date().toISOString()
+        };
+        this.hooks.push(hook);
+        await this.save();
+        return hook;
+    }
+
+    async remove(id) {
+        const before = this.hooks.length;
+        this.hooks = this.hooks.filter(hook => hook.id !== id);
+        await this.save();
+        return this.hooks.length < before;
+    }
+
+    emit(type, data) {
+        const hooks = this.list().filter(hook => hook.events.includes(type));
+        if (hooks.length === 0) return;
+
+        const event = {
+            id: crypto.randomUUID(),
+            type,
+            createdAt: new Date().toISOString(),
+            data
+        };
+        logWithFlush(`[Webhook] 事件 ${type} -> ${hooks.length} 个地址`);
+        for (const hook of hooks) {
+            this.deliver(hook, event, crypto.randomUUID(), 1);
+        }
+    }
+
+    sign(secret, timestamp, body) {
+        return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    async deliver(hook, event, deliveryId, attempt) {
+        const body = JSON.stringify(event);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startTime = Date.now();
+        let statusCode = null;
+        let error = null;
+
+        try {
+            const response = await fetch(hook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'weibo-proxy-webhook',
+                    'X-Webhook-Id': deliveryId,
+                    'X-Webhook-Event': event.type,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    // 空密钥的签名谁都能伪造，不如不带
+                    ...(hook.secret ? { 'X-Webhook-Signature': this.sign(hook.secret, timestamp, body) } : {})
+                },
+                body,
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+            });
+            statusCode = response.status;
+            if (!response.ok) {
+                error = `HTTP ${response.status}`;
+            }
+        } catch (err) {
+            error = err.message;
+        }
+
+        const willRetry = Boolean(error) && attempt < WEBHOOK_MAX_ATTEMPTS;
+        this.appendLog({
+            deliveryId,
+            eventId: event.id,
+            event: event.type,
+            webhookId: hook.id,
+            url: hook.url,
+            attempt,
+            status: !error ? 'succeeded' : willRetry ? 'retrying' : 'failed',
+            statusCode,
+            error,
+            durationMs: Date.now() - startTime,
+            at: new Date().toISOString()
+        });
+
+        if (!error) {
+            logWithFlush(`[Webhook] ✅ 投递成功 ${event.type} -> ${hook.url}`);
+        } else if (willRetry) {
+            // 指数退避：10s, 20s, 40s ...
+            const delay = this.retryBaseDelay * 2 ** (attempt - 1);
+            logErrorWithFlush(`[Webhook] 投递失败 ${event.type} -> ${hook.url} (${error})，${Math.round(delay / 1000)}s 后重试`);
+            setTimeout(() => this.deliver(hook, event, deliveryId, attempt + 1), delay).unref();
+        } else {
+            logErrorWithFlush(`[Webhook] 投递失败 ${event.type} -> ${hook.url} (${error})，已放弃`);
+        }
+    }
+
+    appendLog(entry) {
+        this.logging = this.logging.then(async () => {
+            const stat = await fs.stat(this.logFile).catch(() => null);
+            if (stat && stat.size > WEBHOOK_LOG_MAX_BYTES) {
+                await fs.move(this.logFile, `${this.logFile}.1`, { overwrite: true });
+            }
+            await fs.appendFile(this.logFile, JSON.stringify(entry) + '\n');
+        }).catch(error => logErrorWithFlush('[Webhook] 写入投递日志失败:', error.message));
+        return this.logging;
+    }
+
+    async readLog({ webhookId, limit = 100 } = {}) {
+        if (!(await fs.pathExists(this.logFile))) return [];
+        const lines = (await fs.readFile(this.logFile, 'utf8')).split('\n').filter(Boolean);
+        const entries = [];
+        for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+            try {
+                const entry = JSON.parse(lines[i]);
+                if (!webhookId || entry.webhookId === webhookId) entries.push(entry);
+            } catch {
+                // 忽略损坏的行
+            }
+        }
+        return entries;
+    }
+}
+
+const webhookManager = new WebhookManager(WEBHOOKS_FILE, WEBHOOK_DELIVERIES_FILE);
+webhookManager.load();
+if (process.env.WEBHOOK_URLS && !process.env.WEBHOOK_SECRET) {
+    logErrorWithFlush('[Webhook] ⚠️ 设置了 WEBHOOK_URLS 但没有设置 WEBHOOK_SECRET，发往这些地址的请求不带签名，接收方无法验证来源');
+}
+
+function describeWebhook(hook) {
+    const { secret, ...rest } = hook;
+    return { ...rest, signed: Boolean(secret) };
+}
+
+// ========================= 会话保活 =========================
+const SESSION_KEEPALIVE_INTERVAL = (parseFloat(process.env.SESSION_KEEPALIVE_MINUTES) || 0) * 60 * 1000;
+const SESSION_AUTO_RELOGIN = process.env.SESSION_AUTO_RELOGIN === 'true';
+const SESSION_KEEPALIVE_FIRST_DELAY = 60000;
+class SessionKeeper {
+    constructor(interval) {
+        this.interval = interval;
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.interval <= 0) return;
+        logWithFlush(`[会话保活] 已启用，每 ${Math.round(this.interval / 60000)} 分钟检查一次${SESSION_AUTO_RELOGIN ? '，过期后自动发起扫码登录' : ''}`);
+        setTimeout(() => this.tick(), SESSION_KEEPALIVE_FIRST_DELAY).unref();
+        this.timer = setInterval(() => this.tick(), this.interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async tick() {
+        if (this.running) return;
+        this.running = true;
+        try {
+            for (const account of accountRegistry.list()) {
+                // 没有会话的账号无需保活
+                if (!account.isLoggedIn && !(await fs.pathExists(account.sessionFile))) continue;
+                await this.refresh(account).catch(error => {
+                    logErrorWithFlush(`[会话保活] 账号 ${account.id} 检查失败:`, error.message);
+                });
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async refresh(account) {
+        // 保活检查不应推迟空闲关闭，也不应让原本关闭的浏览器一直运行
+        const browserWasRunning = Boolean(browserManager.browser);
+        const lastActivity = browserManager.lastActivity;
+        let checkedActivity = null;
+
+        try {
+            await requestQueue.enqueue(async () => {
+                try {
+                    await this.check(account);
+                } finally {
+                    checkedActivity = browserManager.lastActivity;
+                }
+            }, 'sessionKeepAlive');
+        } catch (error) {
+            account.session.error = error.message;
+            throw error;
+        } finally {
+            // 检查没有执行完（取消或超时）时不做回滚
+            if (checkedActivity !== null) {
+                await requestQueue.enqueue(
+                    () => this.restoreIdleState(browserWasRunning, lastActivity, checkedActivity),
+                    'sessionKeepAliveCleanup',
+                    { signal: null }
+                ).catch(error => logWarnWithFlush(`[会话保活] 恢复浏览器状态失败: ${error.message}`));
+            }
+        }
+    }
+
+    async check(account) {
+        account.session.lastCheckAt = new Date().toISOString();
+        const loggedIn = await checkLoginStatus(account);
+        if (loggedIn) {
+            const context = browserManager.getContext(account.id);
+            const storageState = await context.storageState();
+            await writeSessionFile(account.sessionFile, storageState);
+            Object.assign(account.session, {
+                lastVerifiedAt: new Date().toISOString(),
+                cookiesExpireAt: getCookieExpiry(storageState),
+                error: null
+            });
+            logWithFlush(`[会话保活] ✅ 账号 ${account.id} 会话有效，Cookie 已刷新`);
+            return;
+        }
+
+        // 会话文件无法解密时重新登录会用新密钥覆盖它，留给管理员先检查密钥
+        if (account.session.decryptError) {
+            account.session.error = account.session.decryptError;
+            return;
+        }
+        account.session.error = '会话已失效';
+        if (SESSION_AUTO_RELOGIN && !(account.loginPage && !account.loginPage.isClosed())) {
+            logWithFlush(`[会话保活] 账号 ${account.id} 会话已失效，自动发起扫码登录`);
+            const qrCodeUrl = await getQRCode(account);
+            webhookManager.emit('login.required', { accountId: account.id, qrCodeUrl });
+        }
+    }
+
+    // 在队列中执行，不会和其他任务同时操作浏览器；
+    // 检查之后有其他任务用过浏览器时，保留它们的活动时间，也不关闭浏览器
+    async restoreIdleState(browserWasRunning, lastActivity, checkedActivity) {
+        if (browserManager.lastActivity !== checkedActivity) return;
+
+        browserManager.lastActivity = lastActivity;
+        const loginPending = accountRegistry.list().some(item => item.loginPage && !item.loginPage.isClosed());
+        if (!browserWasRunning && browserManager.browser && !loginPending && !browserManager.isWarm() &&
+            requestQueue.queue.length === 0) {
+            await browserManager.cleanup(true);
+        }
+    }
+}
+
+const sessionKeeper = new SessionKeeper(SESSION_KEEPALIVE_INTERVAL);
+
+// ========================= 定时发送 =========================
+const SCHEDULE_FILE = path.join(DATA_DIR, 'schedule.json');
+const SCHEDULE_CHECK_INTERVAL = 15000;
+// 到期时间早于服务启动时间超过该值的任务视为停机期间错过的任务
+const SCHEDULE_MISSED_GRACE = 60000;
+const SCHEDULE_CATCHUP_POLICIES = ['skip', 'late', 'latest'];
+const SCHEDULE_CATCHUP_POLICY = SCHEDULE_CATCHUP_POLICIES.includes(process.env.SCHEDULE_CATCHUP_POLICY)
+    ? process.env.SCHEDULE_CATCHUP_POLICY
+    : 'late';
+
+class PostScheduler {
+    constructor(file) {
+        this.file = file;
+        this.items = [];
+        this.timer = null;
+        this.running = false;
+        this.saving = Promise.resolve();
+    }
+
+    load() {
+        try {
+            if (fs.pathExistsSync(this.file)) {
+                this.items = fs.readJsonSync(this.file);
+            }
+        } catch (error) {
+            logErrorWithFlush('[定时发送] 加载任务失败:', error.message);
+            this.items = [];
+        }
+
+        // 上次退出时正在发送的任务结果未知，标记失败以免重复发送
+        let changed = false;
+        for (const item of this.items) {
+            item.accountId = item.accountId || DEFAULT_ACCOUNT_ID;
+            if (item.status === 'posting') {
+                Object.assign(item, {
+                    status: 'failed',
+                    error: '服务重启，发送结果未知',
+                    completedAt: new Date().toISOString()
+                });
+                changed = true;
+            }
+        }
+        if (changed) this.save();
+    }
+
+    save() {
+        // 串行写入，保证落盘顺序与内存状态一致
+        this.saving = this.saving
+            .then(() => writeJsonAtomic(this.file, this.items))
+            .catch(error => logErrorWithFlush('[定时发送] 保存任务失败:', error.message));
+        return this.saving;
+    }
+
+    async start() {
+        const startedAt = Date.now();
+        const missed = this.items
+            .filter(item => item.status === 'pending' && Date.parse(item.publishAt) < startedAt - SCHEDULE_MISSED_GRACE)
+            .sort((a, b) => Date.parse(a.publishAt) - Date.parse(b.publishAt));
+
+        if (missed.length > 0) {
+            logWithFlush(`[定时发送] 发现停机期间错过的任务 ${missed.length} 个，补发策略: ${SCHEDULE_CATCHUP_POLICY}`);
+            let skipped = [];
+            if (SCHEDULE_CATCHUP_POLICY === 'skip') {
+                skipped = missed;
+            } else if (SCHEDULE_CATCHUP_POLICY === 'latest') {
+                // 每个账号只保留最近的一条
+                const latest = new Map();
+                for (const item of missed) latest.set(item.accountId, item);
+                skipped = missed.filter(item => latest.get(item.accountId) !== item);
+            }
+            for (const item of skipped) {
+                Object.assign(item, {
+                    status: 'skipped',
+                    error: '停机期间错过发送时间，按补发策略跳过',
+                    completedAt: new Date().toISOString()
+                });
+            }
+            if (skipped.length > 0) await this.save();
+        }
+
+        const pending = this.items.filter(item => item.status === 'pending').length;
+        logWithFlush(`[定时发送] 调度器已启动 (待发送: ${pending})`);
+        this.timer = setInterval(() => this.tick(), SCHEDULE_CHECK_INTERVAL);
+        this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async tick() {
+        if (this.running) return;
+        this.running = true;
+        try {
+            const now = Date.now();
+            const due = this.items
+                .filter(item => item.status === 'pending' && Date.parse(item.publishAt) <= now)
+                .sort((a, b) => Date.parse(a.publishAt) - Date.parse(b.publishAt));
+            for (const item of due) {
+                await this.publish(item);
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async publish(item) {
+        // 到期列表是一次取出的，前面的任务发送期间这一条可能已被删除
+        if (!this.items.includes(item) || item.status !== 'pending') {
+            logWithFlush(`[定时发送] 任务 ${item.id} 已删除或状态已变化，跳过`);
+            return;
+        }
+
+        // 定时任务同样计入频率限制，超限时等待解除；等待超过上限则留到下次检查
+        let releasePostSlot;
+        try {
+            releasePostSlot = await rateLimiter.acquire(item.accountId, null, { defer: true });
+        } catch (error) {
+            if (!(error instanceof RateLimitError)) throw error;
+            logWarnWithFlush(`[定时发送] 任务 ${item.id} 暂缓: ${error.message}`);
+            return;
+        }
+
+        try {
+            if (!this.items.includes(item) || item.status !== 'pending') {
+                logWithFlush(`[定时发送] 任务 ${item.id} 已删除或状态已变化，跳过`);
+                return;
+            }
+            logWithFlush(`[定时发送] 开始发送任务 ${item.id} (计划时间: ${item.publishAt})`);
+            item.status = 'posting';
+            item.attemptedAt = new Date().toISOString();
+            await this.save();
+
+            try {
+                const account = accountRegistry.get(item.accountId);
+                if (!account) {
+                    throw new Error(`账号不存在: ${item.accountId}`);
+                }
+                const result = await enqueuePublish(
+                    account.id,
+                    () => postWeibo(account, item.content, {
+                        meta: { source: 'schedule', client: { name: `schedule:${item.id}` }, requestedAt: item.publishAt }
+                    }),
+                    'scheduledPost'
+                );
+                Object.assign(item, { status: 'succeeded', weiboId: result.weiboId || null, error: null });
+                logWithFlush(`[定时发送] ✅ 任务 ${item.id} 发送成功`);
+            } catch (error) {
+                Object.assign(item, { status: 'failed', error: error.message });
+                logErrorWithFlush(`[定时发送] 任务 ${item.id} 发送失败:`, error.message);
+            }
+            item.completedAt = new Date().toISOString();
+            await this.save();
+        } finally {
+            releasePostSlot();
+        }
+    }
+
+    async add(accountId, content, publishAt) {
+        const item = {
+            id: crypto.randomUUID(),
+            accountId,
+            content,
+            publishAt: new Date(publishAt).toISOString(),
+            status: 'pending',
+            createdAt: new Date().toISOString(),
+            attemptedAt: null,
+            completedAt: null,
+            weiboId: null,
+            error: null
+        };
+        this.items.push(item);
+        await this.save();
+        return item;
+    }
+
+    list(status) {
+        return this.items
+            .filter(item => !status || item.status === status)
+            .sort((a, b) => Date.parse(a.publishAt) - Date.parse(b.publishAt));
+    }
+
+    get(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    async remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        await this.save();
+    }
+
+    getStatus() {
+        const counts = {};
+        for (const item of this.items) {
+            counts[item.status] = (counts[item.status] || 0) + 1;
+        }
+        return { catchUpPolicy: SCHEDULE_CATCHUP_POLICY, counts };
+    }
+}
+
+const postScheduler = new PostScheduler(SCHEDULE_FILE);
+// 在开始接受请求前加载，避免启动期间新建的定时任务被随后读入的文件覆盖
+postScheduler.load();
+
+// ========================= 草稿审批 =========================
+// 草稿由一个 Token 创建，另一个 Token（或具备 approve 权限的 Token）批准后才经由 postWeibo 发出
+const DRAFTS_FILE = path.join(DATA_DIR, 'drafts.json');
+const DRAFT_STATUSES = ['pending', 'rejected', 'publishing', 'published', 'failed'];
+// 可以修改的状态，修改后回到 pending 重新审批
+const DRAFT_EDITABLE_STATUSES = ['pending', 'rejected', 'failed'];
+// 等待审批的状态，发送失败的草稿可以再次批准或驳回
+const DRAFT_REVIEWABLE_STATUSES = ['pending', 'failed'];
+const DRAFT_MAX_COMMENT_LENGTH = 500;
+
+class DraftError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'DraftError';
+        this.status = status;
+    }
+}
+
+// 校验草稿内容和发送选项，返回 { content, composer } 或 { error }；草稿批准的时间不确定，不支持微博定时发布
+function parseDraftBody(body, draft = null) {
+    if (body.scheduledAt !== undefined && body.scheduledAt !== null) {
+        return { error: '草稿不支持 scheduledAt，批准后立即发送' };
+    }
+    const { options, error } = parseComposerOptions({
+        visibility: body.visibility !== undefined ? body.visibility : draft?.composer.visibility,
+        topics: body.topics !== undefined ? body.topics : draft?.composer.topics
+    });
+    if (error) return { error };
+    const content = body.content !== undefined ? body.content : draft?.content;
+    if (typeof content !== 'string' || !content.trim() || applyTopics(content, options.topics).length > 2000) {
+        return { error: '内容无效或过长' };
+    }
+    return { content, composer: options };
+}
+
+class DraftStore {
+    constructor(file) {
+        this.file = file;
+        this.drafts = [];
+        this.saving = Promise.resolve();
+    }
+
+    load() {
+        try {
+            if (fs.pathExistsSync(this.file)) {
+                this.drafts = fs.readJsonSync(this.file);
+            }
+        } catch (error) {
+            logErrorWithFlush('[草稿] 加载草稿失败:', error.message);
+            this.drafts = [];
+        }
+
+        // 上次退出时正在发送的草稿结果未知，标记失败，再次批准时先确认是否已经发出
+        const interrupted = this.drafts.filter(draft => draft.status === 'publishing');
+        for (const draft of interrupted) {
+            draft.status = 'failed';
+            draft.error = '服务重启，发送结果未知';
+            this.record(draft, 'failed', null, { error: draft.error });
+        }
+        if (interrupted.length > 0) this.save();
+    }
+
+    save() {
+        this.saving = this.saving
+            .then(() => writeJsonAtomic(this.file, this.drafts))
+            .catch(error => logErrorWithFlush('[草稿] 保存草稿失败:', error.message));
+        return this.saving;
+    }
+
+    // 编辑和审批历史按时间顺序记录在草稿上
+    record(draft, action, token, extra = {}) {
+        draft.history.push({
+            action,
+            at: new Date().toISOString(),
+            tokenId: token?.id || null,
+            tokenName: token?.name || null,
+            ...extra
+        });
+        draft.updatedAt = draft.history[draft.history.length - 1].at;
+    }
+
+    list({ status, accountId } = {}) {
+        return this.drafts
+            .filter(draft => (!status || draft.status === status) && (!accountId || draft.accountId === accountId))
+            .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+    }
+
+    get(id) {
+        return this.drafts.find(draft => draft.id === id) || null;
+    }
+
+    async create({ accountId, content, composer }, token) {
+        const draft = {
+            id: crypto.randomUUID(),
+            accountId,
+            content,
+            composer,
+            status: 'pending',
+            // 创建和修改过草稿的 Token，不能审批这份草稿
+            authors: [token.id],
+            createdBy: { tokenId: token.id, tokenName: token.name },
+            createdAt: new Date().toISOString(),
+            updatedAt: null,
+            attempts: 0,
+            approvedBy: null,
+            weiboId: null,
+            error: null,
+            history: []
+        };
+        this.record(draft, 'created', token, { content, composer });
+        this.drafts.push(draft);
+        await this.save();
+        return draft;
+    }
+
+    async update(draft, { content, composer }, token) {
+        if (!DRAFT_EDITABLE_STATUSES.includes(draft.status)) {
+            throw new DraftError(`草稿${draft.status === 'published' ? '已发布' : '正在发送中'}，不能修改`, 409);
+        }
+        Object.assign(draft, { content, composer, status: 'pending', error: null });
+        if (!draft.authors.includes(token.id)) draft.authors.push(token.id);
+        this.record(draft, 'edited', token, { content, composer });
+        await this.save();
+        return draft;
+    }
+
+    // 作者不能审批自己的草稿，除非 Token 明确具备 approve 权限
+    assertReviewable(draft, token, action) {
+        if (!DRAFT_REVIEWABLE_STATUSES.includes(draft.status)) {
+            throw new DraftError(`草稿当前状态为 ${draft.status}，不能${action === 'approve' ? '批准' : '驳回'}`, 409);
+        }
+        if (draft.authors.includes(token.id) && !token.scopes.includes('approve')) {
+            throw new DraftError('不能审批自己创建或修改的草稿，需要另一个 Token 或具备 approve 权限的 Token', 403);
+        }
+    }
+
+    async reject(draft, token, comment) {
+        this.assertReviewable(draft, token, 'reject');
+        draft.status = 'rejected';
+        this.record(draft, 'rejected', token, { comment });
+        await this.save();
+        return draft;
+    }
+
+    // 批准并立即发送，发送失败的草稿可以再次批准或修改后重新提交
+    async approve(draft, token, comment) {
+        this.assertReviewable(draft, token, 'approve');
+        const account = accountRegistry.get(draft.accountId);
+        if (!account) {
+            throw new DraftError(`账号不存在: ${draft.accountId}`, 404);
+        }
+
+        // 之前的发送结果未知时，先确认是否已经发出
+        const checkDuplicate = draft.attempts > 0;
+        draft.status = 'publishing';
+        draft.attempts += 1;
+        draft.approvedBy = { tokenId: token.id, tokenName: token.name };
+        this.record(draft, 'approved', token, { comment });
+        await this.save();
+        logWithFlush(`[草稿] ${token.name} 批准了草稿 ${draft.id}，开始发送`);
+
+        try {
+            // 批准后无论客户端是否等待结果都要发完
+            const result = await enqueuePublish(
+                account.id,
+                () => postWeibo(account, applyTopics(draft.content, draft.composer.topics), {
+                    composer: draft.composer,
+                    checkDuplicate,
+                    meta: {
+                        source: 'draft',
+                        client: { name: `draft:${draft.id}`, tokenId: token.id },
+                        requestedAt: new Date().toISOString()
+                    }
+                }),
+                'postWeibo',
+                { signal: null }
+            );
+            Object.assign(draft, { status: 'published', weiboId: result.weiboId || null, error: null });
+            this.record(draft, 'published', null, { weiboId: draft.weiboId });
+            logWithFlush(`[草稿] ✅ 草稿 ${draft.id} 已发送`);
+            return draft;
+        } catch (error) {
+            Object.assign(draft, { status: 'failed', error: error.message });
+            this.record(draft, 'failed', null, { error: error.message });
+            logErrorWithFlush(`[草稿] 草稿 ${draft.id} 发送失败:`, error.message);
+            throw error;
+        } finally {
+            await this.save();
+        }
+    }
+
+    getStatus() {
+        const counts = {};
+        for (const draft of this.drafts) {
+            counts[draft.status] = (counts[draft.status] || 0) + 1;
+        }
+        return { counts };
+    }
+}
+
+const draftStore = new DraftStore(DRAFTS_FILE);
+// 在开始接受请求前加载，避免新建的草稿被随后读入的文件覆盖
+draftStore.load();
+
+// ========================= RSS/Atom 订阅 =========================
+const FEEDS_FILE = path.join(DATA_DIR, 'feeds.json');
+const FEED_ITEMS_FILE = path.join(DATA_DIR, 'feed-items.json');
+const FEED_CHECK_INTERVAL = 60000;
+const FEED_DEFAULT_INTERVAL_MINUTES = parseFloat(process.env.FEED_POLL_MINUTES) || 30;
+const FEED_FETCH_TIMEOUT = 15000;
+const FEED_MAX_BYTES = 5 * 1024 * 1024;
+const FEED_MAX_CONTENT_LENGTH = 2000;
+const FEED_MAX_POSTS_PER_CHECK = 3;
+const FEED_MAX_ATTEMPTS = 3;
+// 每个订阅最多保留的条目记录数，仍在订阅中出现的条目不会被清理
+const FEED_ITEMS_KEEP = 500;
+const FEED_DEFAULT_TEMPLATE = '{title}\n{summary}\n{link}';
+const FEED_TEMPLATE_FIELDS = ['title', 'link', 'summary', 'feedTitle'];
+
+const feedParser = new XMLParser({ ignoreAttributes: false, parseTagValue: false, htmlEntities: true });
+
+class FeedError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'FeedError';
+        this.status = status;
+    }
+}
+
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// 节点可能是字符串，也可能是带属性的对象（文本在 #text 中）
+function feedText(node) {
+    if (Array.isArray(node)) return feedText(node[0]);
+    if (node === undefined || node === null) return '';
+    if (typeof node === 'object') return String(node['#text'] ?? '').trim();
+    return String(node).trim();
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// 摘要常带 HTML，去掉标签后合并为一段纯文本
+function stripHtml(html) {
+    return decodeEntities(html
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<\/?(p|div|br|li|h[1-6]|tr|td|blockquote)\b[^>]*>/gi, ' ')
+        .replace(/<[^>]+>/g, ''))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function parseFeedDate(value) {
+    const time = Date.parse(value);
+    return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+function toFeedItem({ id, title, link, summary, publishedAt }) {
+    // 没有 guid 和链接的条目用标题和摘要的摘要值去重
+    const key = id || link || crypto.createHash('sha256').update(`${title}\n${summary}`).digest('hex').slice(0, 32);
+    return { key, title, link, summary, publishedAt };
+}
+
+// 支持 RSS 2.0、RSS 1.0 (RDF) 和 Atom
+function parseFeed(xml) {
+    let doc;
+    try {
+        doc = feedParser.parse(xml);
+    } catch (error) {
+        throw new FeedError(`订阅内容解析失败: ${error.message}`, 502);
+    }
+
+    const rss = doc.rss || doc['rdf:RDF'];
+    if (rss) {
+        const channel = toArray(rss.channel)[0] || {};
+        return {
+            title: stripHtml(feedText(channel.title)),
+            items: toArray(doc.rss ? channel.item : rss.item).map(item => toFeedItem({
+                id: feedText(item.guid),
+                title: stripHtml(feedText(item.title)),
+                link: feedText(item.link),
+                summary: stripHtml(feedText(item.description) || feedText(item['content:encoded'])),
+                publishedAt: parseFeedDate(feedText(item.pubDate) || feedText(item['dc:date']))
+            }))
+        };
+    }
+
+    if (doc.feed) {
+        return {
+            title: stripHtml(feedText(doc.feed.title)),
+            items: toArray(doc.feed.entry).map(entry => {
+                const links = toArray(entry.link);
+                const link = links.find(item => !item['@_rel'] || item['@_rel'] === 'alternate') || links[0];
+                return toFeedItem({
+                    id: feedText(entry.id),
+                    title: stripHtml(feedText(entry.title)),
+                    link: (typeof link === 'string' ? link : link?.['@_href'] || '').trim(),
+                    summary: stripHtml(feedText(entry.summary) || feedText(entry.content)),
+                    publishedAt: parseFeedDate(feedText(entry.published) || feedText(entry.updated))
+                });
+            })
+        };
+    }
+
+    throw new FeedError('无法识别的订阅格式，只支持 RSS 和 Atom', 502);
+}
+
+// 支持 http(s) 地址、file:// 地址和本地绝对路径
+async function fetchFeedSource(source) {
+    if (/^https?:\/\//i.test(source)) {
+        const response = await fetch(source, {
+            headers: { 'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml' },
+            signal: AbortSignal.timeout(FEED_FETCH_TIMEOUT)
+        }).catch((error) => {
+            throw new FeedError(`获取订阅失败: ${error.message}`, 502);
+        });
+        if (!response.ok || Number(response.headers.get('content-length')) > FEED_MAX_BYTES) {
+            await response.body?.cancel().catch(() => {});
+            throw new FeedError(response.ok ? '订阅内容过大' : `获取订阅失败: HTTP ${response.status}`, 502);
+        }
+
+        // 边读边计数，超过上限立即停止读取，不依赖服务器声明的长度
+        const chunks = [];
+        let received = 0;
+        try {
+            for await (const chunk of response.body) {
+                received += chunk.length;
+                if (received > FEED_MAX_BYTES) {
+                    throw new FeedError('订阅内容过大', 502);
+                }
+                chunks.push(chunk);
+            }
+        } catch (error) {
+            if (error instanceof FeedError) throw error;
+            throw new FeedError(`获取订阅失败: ${error.message}`, 502);
+        }
+        return Buffer.concat(chunks).toString('utf8');
+    }
+
+    const file = source.startsWith('file:') ? fileURLToPath(source) : source;
+    try {
+        if ((await fs.stat(file)).size > FEED_MAX_BYTES) {
+            throw new FeedError('订阅内容过大', 502);
+        }
+        return await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error instanceof FeedError) throw error;
+        throw new FeedError(`读取订阅文件失败: ${error.message}`, 502);
+    }
+}
+
+// 按模板生成微博内容：只含空字段的行整行省略；超长时先截断摘要，仍超长再整体截断
+function renderFeedItem(template, maxLength, fields) {
+    const render = values => template
+        .split('\n')
+        .map(line => {
+            const rendered = line.replace(/\{(\w+)\}/g, (match, name) => (FEED_TEMPLATE_FIELDS.includes(name) ? values[name] || '' : match));
+            return rendered.trim() === '' && line.trim() !== '' ? null : rendered;
+        })
+        .filter(line => line !== null)
+        .join('\n')
+        .trim();
+
+    let content = render(fields);
+    if (content.length <= maxLength) return content;
+
+    const room = maxLength - render({ ...fields, summary: '' }).length - 2;
+    if (room > 0 && fields.summary) {
+        content = render({ ...fields, summary: `${fields.summary.slice(0, room)}…` });
+    }
+    return content.length <= maxLength ? content : `${content.slice(0, maxLength - 1)}…`;
+}
+
+class FeedBridge {
+    constructor(file, itemsFile) {
+        this.file = file;
+        this.itemsFile = itemsFile;
+        this.feeds = [];
+        // 订阅 ID -> 条目记录，用于去重
+        this.items = {};
+        this.timer = null;
+        this.running = false;
+        this.checking = new Set();
+        this.saving = Promise.resolve();
+    }
+
+    load() {
+        try {
+            if (fs.pathExistsSync(this.file)) {
+                this.feeds = fs.readJsonSync(this.file);
+            }
+            if (fs.pathExistsSync(this.itemsFile)) {
+                this.items = fs.readJsonSync(this.itemsFile);
+            }
+        } catch (error) {
+            logErrorWithFlush('[订阅] 加载订阅失败:', error.message);
+        }
+
+        // 上次退出时正在发送的条目结果未知，不再重试以免重复发送
+        let changed = false;
+        for (const records of Object.values(this.items)) {
+            for (const record of records) {
+                if (record.status === 'posting') {
+                    Object.assign(record, {
+                        status: 'failed',
+                        attempts: FEED_MAX_ATTEMPTS,
+                        error: '服务重启，发送结果未知',
+                        updatedAt: new Date().toISOString()
+                    });
+                    changed = true;
+                }
+            }
+        }
+        if (changed) this.save();
+    }
+
+    save() {
+        // 串行写入，保证落盘顺序与内存状态一致
+        this.saving = this.saving
+            .then(async () => {
+                await writeJsonAtomic(this.file, this.feeds);
+                await writeJsonAtomic(this.itemsFile, this.items);
+            })
+            .catch(error => logErrorWithFlush('[订阅] 保存订阅失败:', error.message));
+        return this.saving;
+    }
+
+    start() {
+        logWithFlush(`[订阅] 订阅同步已启动 (订阅数: ${this.feeds.length})`);
+        this.timer = setInterval(() => this.tick(), FEED_CHECK_INTERVAL);
+        this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async tick() {
+        if (this.running) return;
+        this.running = true;
+        try {
+            const now = Date.now();
+            for (const feed of this.feeds) {
+                if (!feed.enabled || this.checking.has(feed.id)) continue;
+                if (feed.lastCheckedAt && now - Date.parse(feed.lastCheckedAt) < feed.intervalMinutes * 60000) continue;
+                await this.check(feed).catch(error => {
+                    logErrorWithFlush(`[订阅] 订阅 ${feed.id} 检查失败:`, error.message);
+                });
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async check(feed, { dryRun = feed.dryRun } = {}) {
+        if (this.checking.has(feed.id)) {
+            throw new FeedError('该订阅正在检查中', 409);
+        }
+        this.checking.add(feed.id);
+        try {
+            return await this.sync(feed, dryRun);
+        } finally {
+            this.checking.delete(feed.id);
+        }
+    }
+
+    async sync(feed, dryRun) {
+        feed.lastCheckedAt = new Date().toISOString();
+        let parsed;
+        try {
+            parsed = parseFeed(await fetchFeedSource(feed.url));
+        } catch (error) {
+            feed.lastError = error.message;
+            await this.save();
+            throw error;
+        }
+        feed.title = parsed.title || feed.title;
+        feed.lastError = null;
+
+        const records = this.items[feed.id] || [];
+        const known = new Map(records.map(record => [record.key, record]));
+        const addRecord = (item, status) => {
+            const record = {
+                key: item.key,
+                title: item.title,
+                link: item.link,
+                status,
+                attempts: 0,
+                content: null,
+                weiboId: null,
+                error: null,
+                updatedAt: new Date().toISOString()
+            };
+            records.push(record);
+            known.set(item.key, record);
+            return record;
+        };
+
+        // 首次检查时把已有条目记为跳过，避免一次性发出整个历史
+        if (!feed.initialized) {
+            if (!feed.postExisting) {
+                for (const item of parsed.items) {
+                    if (!known.has(item.key)) addRecord(item, 'skipped');
+                }
+            }
+            feed.initialized = true;
+        }
+
+        // 订阅一般按新到旧排列，按发布时间从旧到新发送；没有发布时间的条目排在最后，保持订阅中的先后
+        const pending = parsed.items
+            .filter(item => {
+                const record = known.get(item.key);
+                return !record || record.status === 'dry-run' || (record.status === 'failed' && record.attempts < FEED_MAX_ATTEMPTS);
+            })
+            .reverse()
+            .sort((a, b) => (a.publishedAt && b.publishedAt
+                ? Date.parse(a.publishedAt) - Date.parse(b.publishedAt)
+                : Boolean(b.publishedAt) - Boolean(a.publishedAt)));
+
+        const results = [];
+        for (const item of dryRun ? pending : pending.slice(0, FEED_MAX_POSTS_PER_CHECK)) {
+            const content = renderFeedItem(feed.template, feed.maxLength, { ...item, feedTitle: feed.title || '' });
+
+            // 超出频率限制时不计入失败次数，剩余条目留到下次检查
+            let releasePostSlot = null;
+            if (!dryRun) {
+                try {
+                    releasePostSlot = await rateLimiter.acquire(feed.accountId, null);
+                } catch (error) {
+                    if (!(error instanceof RateLimitError)) throw error;
+                    logWarnWithFlush(`[订阅] 订阅 ${feed.id} 暂缓发送: ${error.message}`);
+                    break;
+                }
+            }
+
+            const record = known.get(item.key) || addRecord(item, null);
+            record.content = content;
+            record.updatedAt = new Date().toISOString();
+            results.push(record);
+
+            if (dryRun) {
+                if (record.status !== 'dry-run') {
+                    logWithFlush(`[订阅] (试运行) 订阅 ${feed.id} 将发送: ${item.title || item.key}`);
+                }
+                record.status = 'dry-run';
+                continue;
+            }
+
+            // 先落盘再发送，进程中途退出也不会重复发送
+            record.status = 'posting';
+            record.attempts += 1;
+            await this.save();
+            try {
+                const account = accountRegistry.get(feed.accountId);
+                if (!account) {
+                    throw new Error(`账号不存在: ${feed.accountId}`);
+                }
+                const result = await enqueuePublish(
+                    account.id,
+                    () => postWeibo(account, content, {
+                        // 之前的尝试可能超时或中断，结果未知，先确认是否已经发出
+                        checkDuplicate: record.attempts > 1,
+                        meta: { source: 'feed', client: { name: `feed:${feed.id}` } }
+                    }),
+                    'feedPost',
+                    { signal: null }
+                );
+                Object.assign(record, { status: 'posted', weiboId: result.weiboId || null, error: null });
+                feed.lastPostedAt = new Date().toISOString();
+                logWithFlush(`[订阅] ✅ 订阅 ${feed.id} 已发送: ${item.title || item.key}`);
+            } catch (error) {
+                Object.assign(record, { status: 'failed', error: error.message });
+                record.updatedAt = new Date().toISOString();
+                logErrorWithFlush(`[订阅] 订阅 ${feed.id} 发送失败:`, error.message);
+                // 未登录等情况下后续条目同样会失败，留到下次检查
+                break;
+            } finally {
+                releasePostSlot();
+            }
+            record.updatedAt = new Date().toISOString();
+        }
+
+        const currentKeys = new Set(parsed.items.map(item => item.key));
+        this.items[feed.id] = records.filter((record, index) =>
+            currentKeys.has(record.key) || index >= records.length - FEED_ITEMS_KEEP
+        );
+        await this.save();
+        return { feed: describeFeed(feed), dryRun, total: parsed.items.length, items: results };
+    }
+
+    async add({ url, accountId, template, intervalMinutes, maxLength, dryRun, postExisting }) {
+        const feed = {
+            id: crypto.randomUUID(),
+            url,
+            title: null,
+            accountId: accountId || DEFAULT_ACCOUNT_ID,
+            template: template || FEED_DEFAULT_TEMPLATE,
+            intervalMinutes: intervalMinutes || FEED_DEFAULT_INTERVAL_MINUTES,
+            maxLength: maxLength || FEED_MAX_CONTENT_LENGTH,
+            dryRun: Boolean(dryRun),
+            postExisting: Boolean(postExisting),
+            enabled: true,
+            initialized: false,
+            createdAt: new Date().toISOString(),
+            lastCheckedAt: null,
+            lastPostedAt: null,
+            lastError: null
+        };
+        this.feeds.push(feed);
+        await this.save();
+        return feed;
+    }
+
+    async update(feed, changes) {
+        Object.assign(feed, changes);
+        await this.save();
+        return feed;
+    }
+
+    list() {
+        return this.feeds;
+    }
+
+    get(id) {
+        return this.feeds.find(feed => feed.id === id) || null;
+    }
+
+    listItems(id, status) {
+        return (this.items[id] || [])
+            .filter(record => !status || record.status === status)
+            .slice()
+            .reverse();
+    }
+
+    async remove(id) {
+        const before = this.feeds.length;
+        this.feeds = this.feeds.filter(feed => feed.id !== id);
+        if (this.feeds.length === before) return false;
+        delete this.items[id];
+        await this.save();
+        return true;
+    }
+
+    getStatus() {
+        return {
+            feeds: this.feeds.length,
+            enabled: this.feeds.filter(feed => feed.enabled).length,
+            dryRun: this.feeds.filter(feed => feed.dryRun).length,
+            failing: this.feeds.filter(feed => feed.lastError).length
+        };
+    }
+}
+
+function describeFeed(feed) {
+    return {
+        ...feed,
+        nextCheckAt: feed.enabled
+            ? new Date(feed.lastCheckedAt ? Date.parse(feed.lastCheckedAt) + feed.intervalMinutes * 60000 : Date.now()).toISOString()
+            : null
+    };
+}
+
+const feedBridge = new FeedBridge(FEEDS_FILE, FEED_ITEMS_FILE);
+// 在开始接受请求前加载，避免启动期间新建的订阅被随后读入的文件覆盖
+feedBridge.load();
+
+// ========================= 异步任务 =========================
+const JOBS_FILE = path.join(DATA_DIR, 'jobs.json');
+const JOB_RETENTION = (parseFloat(process.env.JOB_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+// 任务类型 -> 执行函数，参数必须可序列化，以便重启后恢复
+const jobHandlers = {
+    post: {
+        operationName: 'postWeibo',
+        async run({ accountId, content, images, video, composer, checkDuplicate, meta }) {
+            const account = accountRegistry.get(accountId);
+            if (!account) throw new Error(`账号不存在: ${accountId}`);
+            return postWeibo(account, content, { images, video, composer, checkDuplicate, meta });
+        },
+        timeout({ video }) {
+            return publishTimeout(video);
+        },
+        // 重启时处于执行中的发送任务，恢复前先确认是否已经发出
+        resume(params) {
+            return { ...params, checkDuplicate: true };
+        },
+        async cleanup({ images, video }) {
+            await cleanupMedia({ images, video });
+        }
+    },
+    comment: {
+        operationName: 'commentWeibo',
+        async run({ accountId, weiboId, content, meta }) {
+            const account = accountRegistry.get(accountId);
+            if (!account) throw new Error(`账号不存在: ${accountId}`);
+            return interactWithWeibo(account, 'comment', weiboId, content, { meta });
+        }
+    },
+    repost: {
+        operationName: 'repostWeibo',
+        async run({ accountId, weiboId, content, meta }) {
+            const account = accountRegistry.get(accountId);
+            if (!account) throw new Error(`账号不存在: ${accountId}`);
+            return interactWithWeibo(account, 'repost', weiboId, content, { meta });
+        }
+    },
+    deletePosts: {
+        operationName: 'deletePosts',
+        run(params) {
+            return deletePostsInRange(params);
+        },
+        timeout(params) {
+            return deletePostsTimeout(params);
+        }
+    }
+};
+
+class JobManager {
+    constructor(file) {
+        this.file = file;
+        this.jobs = [];
+        this.interrupted = [];
+        this.saving = Promise.resolve();
+    }
+
+    load() {
+        try {
+            if (fs.pathExistsSync(this.file)) {
+                this.jobs = fs.readJsonSync(this.file);
+            }
+        } catch (error) {
+            logErrorWithFlush('[异步任务] 加载任务失败:', error.message);
+            this.jobs = [];
+        }
+        this.prune();
+        // 只有文件里的未完成任务需要恢复，启动后新提交的任务已经自行执行
+        this.interrupted = this.jobs.filter(job => job.state === 'queued' || job.state === 'running');
+    }
+
+    save() {
+        this.saving = this.saving
+            .then(() => writeJsonAtomic(this.file, this.jobs))
+            .catch(error => logErrorWithFlush('[异步任务] 保存任务失败:', error.message));
+        return this.saving;
+    }
+
+    prune() {
+        const now = Date.now();
+        this.jobs = this.jobs.filter(job =>
+            !job.finishedAt || now - Date.parse(job.finishedAt) < JOB_RETENTION
+        );
+    }
+
+    // 重新排入上次退出时未完成的任务
+    async start() {
+        const unfinished = this.interrupted;
+        this.interrupted = [];
+        for (const job of unfinished) {
+            const handler = jobHandlers[job.type];
+            if (!handler) {
+                Object.assign(job, { state: 'failed', error: `未知任务类型: ${job.type}`, finishedAt: new Date().toISOString() });
+                continue;
+            }
+            if (job.state === 'running' && handler.resume) {
+                job.params = handler.resume(job.params);
+            }
+            job.state = 'queued';
+            requestContext.run({ requestId: job.requestId }, () => this.run(job));
+        }
+        await this.save();
+        if (unfinished.length > 0) {
+            logWithFlush(`[异步任务] 恢复未完成任务 ${unfinished.length} 个`);
+        }
+    }
+
+    async submit(type, params, { notBefore = null } = {}) {
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            state: 'queued',
+            params,
+            notBefore,
+            // 提交任务的请求 ID，任务执行时的日志沿用它
+            requestId: requestContext.getStore()?.requestId || null,
+            result: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+        this.prune();
+        this.jobs.push(job);
+        await this.save();
+        logWithFlush(`[异步任务] 新任务 ${job.id} (${type})`);
+        this.run(job);
+        return job;
+    }
+
+    async run(job) {
+        const handler = jobHandlers[job.type];
+        // 受频率限制推迟的任务，到时间后再进入请求队列
+        const delay = job.notBefore ? Date.parse(job.notBefore) - Date.now() : 0;
+        if (delay > 0) {
+            logWithFlush(`[异步任务] 任务 ${job.id} 推迟 ${Math.ceil(delay / 1000)} 秒执行`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        const operation = async () => {
+            job.state = 'running';
+            job.startedAt = new Date().toISOString();
+            await this.save();
+            return handler.run(job.params);
+        };
+        const options = { timeout: handler.timeout?.(job.params) };
+        try {
+            job.result = PUBLISH_JOB_TYPES.includes(job.type)
+                ? await enqueuePublish(job.params.accountId, operation, handler.operationName, options)
+                : await requestQueue.enqueue(operation, handler.operationName, options);
+            job.state = 'succeeded';
+            logWithFlush(`[异步任务] ✅ 任务 ${job.id} 执行成功`);
+        } catch (error) {
+            job.state = 'failed';
+            job.error = error.message;
+            job.diagnosticsId = error.diagnosticsId || null;
+            logErrorWithFlush(`[异步任务] 任务 ${job.id} 执行失败:`, error.message);
+        }
+        job.finishedAt = new Date().toISOString();
+        await this.save();
+        if (handler.cleanup) {
+            await handler.cleanup(job.params).catch(() => {});
+        }
+    }
+
+    get(id) {
+        return this.jobs.find(job => job.id === id) || null;
+    }
+
+    list(state) {
+        return this.jobs.filter(job => !state || job.state === state);
+    }
+
+    getStatus() {
+        const counts = {};
+        for (const job of this.jobs) {
+            counts[job.state] = (counts[job.state] || 0) + 1;
+        }
+        return counts;
+    }
+}
+
+const jobManager = new JobManager(JOBS_FILE);
+// 在开始接受请求前加载，避免启动期间提交的任务被随后读入的文件覆盖
+jobManager.load();
+
+// 对外隐藏内部参数（如附件在服务器上的路径）
+function describeJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        state: job.state,
+        accountId: job.params?.accountId,
+        result: job.result,
+        error: job.error,
+        diagnosticsId: job.diagnosticsId || null,
+        requestId: job.requestId || null,
+        createdAt: job.createdAt,
+        notBefore: job.notBefore || null,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    };
+}
+
+// ?async=1 或 Prefer: respond-async 时立即返回 202 和任务 ID
+function wantsAsync(req) {
+    return req.query.async === '1' || req.query.async === 'true' ||
+        /\brespond-async\b/.test(req.get('Prefer') || '');
+}
+
+function respondAccepted(res, job) {
+    res.status(202)
+        .set('Location', `/api/jobs/${job.id}`)
+        .set('Preference-Applied', 'respond-async')
+        .json(describeJob(job));
+}
+
+// ========================= 幂等键 =========================
+const IDEMPOTENCY_FILE = path.join(DATA_DIR, 'idempotency.json');
+const IDEMPOTENCY_TTL = (parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+
+class IdempotencyStore {
+    constructor(file) {
+        this.file = file;
+        this.entries = {};
+        this.inflight = new Map();
+        this.saving = Promise.resolve();
+    }
+
+    load() {
+        try {
+            if (fs.pathExistsSync(this.file)) {
+                this.entries = fs.readJsonSync(this.file);
+            }
+        } catch (error) {
+            logErrorWithFlush('[幂等] 加载记录失败:', error.message);
+            this.entries = {};
+        }
+        this.prune();
+    }
+
+    save() {
+        this.saving = this.saving
+            .then(() => writeJsonAtomic(this.file, this.entries))
+            .catch(error => logErrorWithFlush('[幂等] 保存记录失败:', error.message));
+        return this.saving;
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [key, entry] of Object.entries(this.entries)) {
+            if (now - Date.parse(entry.createdAt) > IDEMPOTENCY_TTL) {
+                delete this.entries[key];
+            }
+        }
+    }
+
+    get(key) {
+        const entry = this.entries[key];
+        if (entry && Date.now() - Date.parse(entry.createdAt) > IDEMPOTENCY_TTL) {
+            delete this.entries[key];
+            return null;
+        }
+        return entry || null;
+    }
+
+    async set(key, entry) {
+        this.prune();
+        this.entries[key] = entry;
+        await this.save();
+    }
+}
+
+const idempotencyStore = new IdempotencyStore(IDEMPOTENCY_FILE);
+idempotencyStore.load();
+
+function fingerprintPostRequest(req) {
+    const {
+        content = '', images = [], video = null,
+        mediaIds = [], inReplyToId = null, visibility = null, topics = null, scheduledAt = null
+    } = req.body || {};
+    const files = Object.values(req.files || {}).flat().map(file => [file.fieldname, file.originalname, file.size]);
+    const fields = [req.account.id, content, images, video, files];
+    // 附件 ID、回复目标和发布器选项也是请求内容的一部分，只在出现时计入，不影响普通请求的指纹
+    const extra = [inReplyToId, visibility === 'public' ? null : visibility, topics, scheduledAt];
+    if (mediaIds.length > 0 || extra.some(Boolean)) fields.push(mediaIds, ...extra);
+    return crypto.createHash('sha256')
+        .update(JSON.stringify(fields))
+        .digest('hex');
+}
+
+// 相同 Idempotency-Key 的请求在保留期内直接返回首次成功的结果，不会再次发送
+async function handleIdempotencyKey(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+    if (!key || key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+        removeUploadedFiles(req);
+        return res.status(400).json({ error: `Idempotency-Key 长度必须在 1-${IDEMPOTENCY_KEY_MAX_LENGTH} 之间` });
+    }
+
+    // 不同 Token 使用相同的键互不影响
+    const scopedKey = `${req.token.id}:${req.account.id}:${key}`;
+    const fingerprint = fingerprintPostRequest(req);
+
+    // 同一个键的请求仍在处理中时，等待其完成；同时等待的请求被唤醒后只有第一个继续处理，其余接着等待
+    while (idempotencyStore.inflight.has(scopedKey)) {
+        logWithFlush(`[幂等] 等待处理中的相同请求: ${key}`);
+        await idempotencyStore.inflight.get(scopedKey);
+    }
+
+    const entry = idempotencyStore.get(scopedKey);
+    if (entry && entry.fingerprint !== fingerprint) {
+        removeUploadedFiles(req);
+        return res.status(422).json({ error: 'Idempotency-Key 已被用于内容不同的请求' });
+    }
+    if (entry && entry.state === 'completed') {
+        logWithFlush(`[幂等] 返回已保存的结果: ${key}`);
+        removeUploadedFiles(req);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(entry.statusCode).json(entry.body);
+    }
+
+    // 上一次使用该键的请求失败过，发送前需要先确认它是否其实已经发出
+    req.idempotencyRetry = Boolean(entry && entry.state === 'failed');
+
+    // 处理中的标记在路由写出响应时才解除。客户端断开后排队中的任务会被取消，正在执行的发送则会继续，
+    // 路由等到发送结束才写出响应，这期间同一个键的重试一直等待，不会和它同时发送
+    let finish;
+    idempotencyStore.inflight.set(scopedKey, new Promise(resolve => { finish = resolve; }));
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        const statusCode = res.statusCode;
+        const record = statusCode < 300
+            ? { state: 'completed', statusCode, body }
+            : statusCode >= 500 ? { state: 'failed' } : null;
+        const settled = record
+            ? idempotencyStore.set(scopedKey, { fingerprint, createdAt: new Date().toISOString(), ...record })
+            : Promise.resolve();
+        settled.finally(() => {
+            idempotencyStore.inflight.delete(scopedKey);
+            finish();
+        });
+        return originalJson(body);
+    };
+    next();
+}
+
+// ========================= Mastodon 兼容接口 =========================
+// 实现 Mastodon 客户端 API 的一个子集，现成的跨平台发布工具可以直接把本服务当作实例使用
+const MASTODON_MEDIA_TTL = 60 * 60 * 1000;
+const MASTODON_MAX_DESCRIPTION = 1500;
+// Mastodon 可见范围到微博可见范围的映射；unlisted、direct 在微博上没有对应项
+const MASTODON_VISIBILITIES = { public: 'public', private: 'fans' };
+
+const mastodonMediaUpload = multer({
+    storage: mediaStorage,
+    limits: { fileSize: MAX_VIDEO_SIZE, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (!file.mimetype.startsWith('image/') && !file.mimetype.startsWith('video/')) {
+            return cb(new MediaError(`文件类型不支持: ${file.originalname}`));
+        }
+        cb(null, true);
+    }
+}).single('file');
+
+// 部分客户端用 multipart 提交纯文本表单
+const mastodonFormFields = multer().none();
+
+// 已上传但尚未发出的附件，超过保留时间未使用即删除
+class MastodonMediaStore {
+    constructor(ttl) {
+        this.ttl = ttl;
+        this.items = new Map();
+    }
+
+    add({ file, tokenId, description }) {
+        this.prune();
+        const item = {
+            id: crypto.randomUUID(),
+            type: file.mimetype.startsWith('video/') ? 'video' : 'image',
+            path: file.path,
+            description: description || null,
+            tokenId,
+            createdAt: Date.now()
+        };
+        this.items.set(item.id, item);
+        return item;
+    }
+
+    // 附件只能由上传它的 Token 使用
+    resolve(ids, tokenId) {
+        this.prune();
+        return ids.map(id => {
+            const item = this.items.get(id);
+            if (!item || item.tokenId !== tokenId) {
+                throw new MediaError(`附件不存在或已过期: ${id}`);
+            }
+            return item;
+        });
+    }
+
+    async remove(items) {
+        for (const item of items) {
+            this.items.delete(item.id);
+        }
+        await cleanupMedia({ images: items.map(item => item.path) });
+    }
+
+    prune() {
+        const expired = [...this.items.values()].filter(item => Date.now() - item.createdAt > this.ttl);
+        if (expired.length > 0) {
+            this.remove(expired).catch(() => {});
+        }
+    }
+}
+
+const mastodonMedia = new MastodonMediaStore(MASTODON_MEDIA_TTL);
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function toMastodonAccount(account) {
+    const statusesCount = postHistory.query({ accountId: account.id, kind: 'post', status: 'succeeded', pageSize: 1 }).total;
+    return {
+        id: account.id,
+        username: account.id,
+        acct: account.id,
+        display_name: account.name,
+        locked: false,
+        bot: false,
+        discoverable: false,
+        group: false,
+        created_at: account.createdAt,
+        note: '',
+        url: siteProfile.urls.home,
+        avatar: '',
+        avatar_static: '',
+        header: '',
+        header_static: '',
+        followers_count: 0,
+        following_count: 0,
+        statuses_count: statusesCount,
+        last_status_at: null,
+        emojis: [],
+        fields: [],
+        source: { privacy: 'public', sensitive: false, language: null, note: '', fields: [], follow_requests_count: 0 }
+    };
+}
+
+function toMastodonMedia(item) {
+    return {
+        id: item.id,
+        type: item.type,
+        url: null,
+        preview_url: null,
+        remote_url: null,
+        text_url: null,
+        meta: null,
+        description: item.description,
+        blurhash: null
+    };
+}
+
+function toMastodonStatus({ id, text, createdAt, account, inReplyToId = null, media = [], visibility = 'public' }) {
+    const url = `${siteProfile.urls.home}/detail/${id}`;
+    return {
+        id,
+        created_at: createdAt,
+        in_reply_to_id: inReplyToId,
+        in_reply_to_account_id: inReplyToId ? account.id : null,
+        sensitive: false,
+        spoiler_text: '',
+        visibility: Object.keys(MASTODON_VISIBILITIES).find(key => MASTODON_VISIBILITIES[key] === visibility) || 'public',
+        language: null,
+        uri: url,
+        url,
+        replies_count: 0,
+        reblogs_count: 0,
+        favourites_count: 0,
+        edited_at: null,
+        content: `<p>${escapeHtml(text).replace(/\n/g, '<br>')}</p>`,
+        text,
+        reblog: null,
+        application: null,
+        account: toMastodonAccount(account),
+        media_attachments: media.map(toMastodonMedia),
+        mentions: [],
+        tags: [],
+        emojis: [],
+        card: null,
+        poll: null
+    };
+}
+
+// 把 Mastodon 参数转换成内部字段，供幂等键和频率限制使用；校验失败按 Mastodon 约定返回 422
+function parseMastodonStatus(req, res, next) {
+    const { status = '', spoiler_text: spoilerText = '', in_reply_to_id: inReplyToId = null, visibility = 'public' } = req.body || {};
+    let mediaIds = req.body?.media_ids ?? req.body?.['media_ids[]'] ?? [];
+    if (!Array.isArray(mediaIds)) mediaIds = [mediaIds];
+
+    if (typeof status !== 'string' || typeof spoilerText !== 'string') {
+        return res.status(422).json({ error: 'status 必须是字符串' });
+    }
+    const weiboVisibility = MASTODON_VISIBILITIES[visibility];
+    if (!weiboVisibility || (weiboVisibility !== 'public' && !POST_VISIBILITIES.includes(weiboVisibility))) {
+        return res.status(422).json({ error: `不支持 visibility=${visibility}，可用: ${Object.keys(MASTODON_VISIBILITIES).join(', ')}` });
+    }
+    if (inReplyToId !== null && weiboVisibility !== 'public') {
+        return res.status(422).json({ error: '回复（评论）不支持设置可见范围' });
+    }
+    if (req.body?.poll) {
+        return res.status(422).json({ error: '不支持投票' });
+    }
+    if (req.body?.scheduled_at) {
+        return res.status(422).json({ error: '不支持 scheduled_at，请使用 /api/schedule' });
+    }
+    if (inReplyToId !== null && !/^\d+$/.test(String(inReplyToId))) {
+        return res.status(422).json({ error: 'in_reply_to_id 无效' });
+    }
+
+    // 微博没有内容警告，放在正文前面
+    const content = spoilerText ? `${spoilerText}\n\n${status}` : status;
+    if (content.length > 2000) {
+        return res.status(422).json({ error: '内容过长' });
+    }
+    if (!content && mediaIds.length === 0) {
+        return res.status(422).json({ error: '内容不能为空' });
+    }
+    if (mediaIds.length > MAX_IMAGES) {
+        return res.status(422).json({ error: `最多附带 ${MAX_IMAGES} 个附件` });
+    }
+
+    req.body = {
+        content,
+        mediaIds: mediaIds.map(String),
+        inReplyToId: inReplyToId === null ? null : String(inReplyToId),
+        visibility: weiboVisibility
+    };
+    next();
+}
+
+// ========================= API 路由（使用队列） =========================
+// 不带 /accounts/:accountId 前缀的旧接口作用于默认账号
+app.get(['/api/status', '/api/accounts/:accountId/status'], requireScope('login'), resolveAccount, async (req, res) => {
+    try {
+        const loginStatus = await requestQueue.enqueue(
+            () => checkLoginStatus(req.account),
+            'checkLoginStatus'
+        );
+        res.json({ isLoggedIn: loginStatus });
+    } catch (error) {
+        logErrorWithFlush('[API] 状态检查错误:', error);
+        res.status(queueErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+app.get(['/api/qrcode', '/api/accounts/:accountId/qrcode'], requireScope('login'), resolveAccount, async (req, res) => {
+    try {
+        const qrCodeUrl = await requestQueue.enqueue(
+            () => getQRCode(req.account),
+            'getQRCode'
+        );
+        res.json({ qrCodeUrl });
+    } catch (error) {
+        logErrorWithFlush('[API] 二维码错误:', error);
+        res.status(queueErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+app.get(['/api/scan-status', '/api/accounts/:accountId/scan-status'], requireScope('login'), resolveAccount, async (req, res) => {
+    try {
+        const status = await requestQueue.enqueue(
+            () => checkScanStatus(req.account),
+            'checkScanStatus'
+        );
+        res.json(status);
+    } catch (error) {
+        logErrorWithFlush('[API] 扫码状态错误:', error);
+        res.status(queueErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+// 扫码登录事件流：推送二维码图片和扫码状态，二维码过期时自动刷新
+app.get(['/api/login/events', '/api/accounts/:accountId/login/events'], requireScope('login'), resolveAccount, (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const account = req.account;
+    if (account.isLoggedIn) {
+        sendEvent(res, 'status', { status: 'success', message: '已登录' });
+        return res.end();
+    }
+
+    let watcher = loginWatchers.get(account.id);
+    const refresh = req.query.refresh === '1' || req.query.refresh === 'true';
+    if (watcher && refresh && !watcher.busy) {
+        watcher.refreshQRCode(false);
+    }
+    if (!watcher) {
+        watcher = new LoginWatcher(account);
+        loginWatchers.set(account.id, watcher);
+    }
+    watcher.subscribe(res);
+    logWithFlush(`[扫码登录] 事件流已连接 (账号: ${account.id}, 订阅数: ${watcher.clients.size})`);
+
+    const ping = setInterval(() => res.write(': ping\n\n'), LOGIN_EVENTS_PING_INTERVAL);
+    req.on('close', () => {
+        clearInterval(ping);
+        watcher.unsubscribe(res);
+    });
+});
+
+app.post(['/api/post', '/api/accounts/:accountId/post'], requireScope('post'), resolveAccount, parseMediaUpload, handleIdempotencyKey, enforceRateLimit({ allowAsync: true }), async (req, res) => {
+    const requestedAt = new Date().toISOString();
+    let media = null;
+    try {
+        const { options: composer, error } = parseComposerOptions(req.body);
+        if (error) {
+            removeUploadedFiles(req);
+            return res.status(400).json({ error });
+        }
+        const text = req.body.content ?? '';
+        const content = typeof text === 'string' ? applyTopics(text, composer.topics) : text;
+        if (typeof content !== 'string' || content.length > 2000) {
+            removeUploadedFiles(req);
+            return res.status(400).json({ error: '内容无效或过长' });
+        }
+
+        media = await collectMedia(req);
+        if (!content && media.images.length === 0 && !media.video) {
+            return res.status(400).json({ error: '内容无效或过长' });
+        }
+
+        if (wantsAsync(req)) {
+            const job = await jobManager.submit('post', {
+                accountId: req.account.id,
+                content,
+                images: media.images,
+                video: media.video,
+                composer,
+                checkDuplicate: req.idempotencyRetry,
+                meta: { source: 'async', client: getRequestClient(req), requestedAt: new Date().toISOString() }
+            }, { notBefore: req.notBefore });
+            media = null; // 附件由任务执行完成后清理
+            return respondAccepted(res, job);
+        }
+        
+        const result = await enqueuePublish(
+            req.account.id,
+            () => postWeibo(req.account, content, {
+                ...media,
+                composer,
+                checkDuplicate: req.idempotencyRetry,
+                meta: { source: 'api', client: getRequestClient(req), requestedAt }
+            }),
+            'postWeibo',
+            { timeout: publishTimeout(media.video) }
+        );
+        res.json(result);
+    } catch (error) {
+        if (!media) removeUploadedFiles(req);
+        if (error instanceof MediaError) {
+            return res.status(400).json({ error: error.message });
+        }
+        logErrorWithFlush('[API] 发送微博错误:', error.message);
+        res.status(queueErrorStatus(error)).json({ error: error.message });
+    } finally {
+        if (req.releasePostSlot) req.releasePostSlot();
+        if (media) await cleanupMedia(media);
+    }
+});
+
+async function logoutAccount(account) {
+    if (await fs.pathExists(account.sessionFile)) {
+        await fs.remove(account.sessionFile);
+    }
+    account.isLoggedIn = false;
     
-    for (let i = 0; i < maxRetries; i++) {
-        let page = null;
+    if (account.loginPage && !account.loginPage.isClosed()) {
+        await account.loginPage.close().catch(() => {});
+    }
+    account.loginPage = null;
+
+    await browserManager.closeContext(account.id);
+    // 没有其他账号在使用时完全关闭浏览器
+    if (browserManager.contexts.size === 0) {
+        await browserManager.cleanup(true);
+    }
+}
+
+app.post(['/api/logout', '/api/accounts/:accountId/logout'], requireScope('login'), resolveAccount, async (req, res) => {
+    try {
+        await requestQueue.enqueue(async () => {
+            logWithFlush(`[API] 收到退出登录请求 (账号: ${req.account.id})`);
+            await logoutAccount(req.account);
+        }, 'logout');
+        
+        res.json({ success: true, message: '退出登录成功' });
+    } catch (error) {
+        logErrorWithFlush('[API] 退出登录错误:', error);
+        res.status(queueErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+// 导出/导入会话：在本地扫码登录后把会话搬到服务器，无需在服务器上扫码
+app.post(['/api/session/export', '/api/accounts/:accountId/session/export'], requireScope('admin'), resolveAccount, async (req, res) => {
+    try {
+        const { passphrase } = req.body || {};
+        if (typeof passphrase !== 'string' || passphrase.length < SESSION_EXPORT_MIN_PASSPHRASE) {
+            return res.status(400).json({ error: `导出口令不能少于 ${SESSION_EXPORT_MIN_PASSPHRASE} 个字符` });
+        }
+
+        const account = req.account;
+        const storageState = await requestQueue.enqueue(async () => {
+            // 浏览器中的会话可能比文件更新，先落盘再导出
+            await browserManager.saveSessionNow(account);
+            if (!(await fs.pathExists(account.sessionFile))) return null;
+            return readSessionFile(account.sessionFile);
+        }, 'exportSession');
+        if (!storageState) {
+            return res.status(404).json({ error: '该账号没有已保存的会话' });
+        }
+
+        const blob = await exportSessionBlob(storageState, passphrase);
+        logWithFlush(`[会话] 已导出会话 (账号: ${account.id})`);
+        res.json({
+            accountId: account.id,
+            exportedAt: new Date().toISOString(),
+            cookiesExpireAt: getCookieExpiry(storageState),
+            blob
+        });
+    } catch (error) {
+        if (error instanceof SessionCryptoError) {
+            return res.status(409).json({ error: error.message });
+        }
+        logErrorWithFlush('[API] 导出会话错误:', error.message);
+        res.status(queueErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+app.post(['/api/session/import', '/api/accounts/:accountId/session/import'], requireScope('admin'), resolveAccount, async (req, res) => {
+    try {
+        const { blob, passphrase } = req.body || {};
+        if (typeof blob !== 'string' || !blob) {
+            return res.status(400).json({ error: '会话数据不能为空' });
+        }
+        if (typeof passphrase !== 'string' || !passphrase) {
+            return res.status(400).json({ error: '导入口令不能为空' });
+        }
+
+        let storageState;
         try {
-            logWithFlush(`[发送微博] 开始发送 (尝试 ${i + 1}/${maxRetries})`);
-            
-            if (!isLoggedIn) throw new Error('用户未登录');
-            await initBrowser();
-            browserManager.updateActivity();
-            
-            page = await context.newPage();
-            await page.goto('https://weibo.com', { waitUntil: 'domcontentloaded', timeout: 20000 });
-            await page.waitForSelector('textarea[placeholder="有什么新鲜事想分享给大家？"]', { timeout: 10000 });
-            await page.fill('textarea[placeholder="有什么新鲜事想分享给大家？"]', content);
-            await page.waitForSelector('button:has-text("发送"):not([disabled])', { timeout: 10000 });
+            storageState = await importSessionBlob(blob, passphrase);
+        } catch (error) {
+            if (error instanceof SessionCryptoError) {
+                return res.status(400).json({ error: error.message });
+            }
+            throw error;
+        }
 
-            const [response] = await Promise.all([
-                page.waitForResponse(res => res.url().includes('/ajax/statuses/update') && res.status() === 200, { timeout: 15000 }),
-                page.click('button:has-text("发送")'),
-            ]);
+        const account = req.account;
+        const isLoggedIn = await requestQueue.enqueue(async () => {
+            logWithFlush(`[会话] 导入会话 (账号: ${account.id})`);
+            if (account.loginPage && !account.loginPage.isClosed()) {
+                await account.loginPage.close().catch(() => {});
+            }
+            account.loginPage = null;
+            // 关闭旧上下文，下次创建时加载导入的会话
+            await browserManager.closeContext(account.id);
+            await writeSessionFile(account.sessionFile, storageState);
+            account.isLoggedIn = false;
+            account.sessionExpiredAt = null;
+            account.session.cookiesExpireAt = getCookieExpiry(storageState);
+            return checkLoginStatus(account);
+        }, 'importSession');
 
-            const result = await response.json();
-            if (result.ok === 1) {
-                lastActivityTime = Date.now();
-                logWithFlush('[发送微博] ✅ 发送成功!');
-                // 发送成功后保存会话
-                await browserManager.saveSessionNow();
-                return {
-                    success: true, 
-                    message: '微博发送成功',
-                    weiboId: result.data?.idstr, 
-                    content: result.data?.text_raw || content,
-                };
-            } else {
-                throw new Error(`接口返回失败: ${result.msg || '未知错误'}`);
+        res.json({
+            success: true,
+            accountId: account.id,
+            isLoggedIn,
+            cookiesExpireAt: account.session.cookiesExpireAt,
+            message: isLoggedIn ? '会话导入成功' : '会话已导入，但登录校验未通过，Cookie 可能已失效'
+        });
+    } catch (error) {
+        logErrorWithFlush('[API] 导入会话错误:', error.message);
+        res.status(queueErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+app.get('/api/accounts', requireScope('login'), (req, res) => {
+    res.json({ accounts: accountRegistry.list().map(describeAccount) });
+});
+
+app.post('/api/accounts', requireScope('admin'), async (req, res) => {
+    try {
+        const { id, name } = req.body;
+        if (typeof id !== 'string' || !ACCOUNT_ID_PATTERN.test(id)) {
+            return res.status(400).json({ error: '账号 ID 只能包含字母、数字、下划线和短横线，长度 1-32' });
+        }
+        if (name !== undefined && (typeof name !== 'string' || name.length > 64)) {
+            return res.status(400).json({ error: '账号名称无效或过长' });
+        }
+        if (accountRegistry.get(id)) {
+            return res.status(409).json({ error: `账号已存在: ${id}` });
+        }
+
+        const account = await accountRegistry.add(id, name);
+        logWithFlush(`[账号] 新增账号 ${id}`);
+        res.status(201).json(describeAccount(account));
+    } catch (error) {
+        logErrorWithFlush('[API] 新增账号错误:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/accounts/:accountId', requireScope('admin'), resolveAccount, async (req, res) => {
+    try {
+        const account = req.account;
+        if (account.id === DEFAULT_ACCOUNT_ID) {
+            return res.status(400).json({ error: '默认账号不能删除' });
+        }
+
+        await requestQueue.enqueue(async () => {
+            await logoutAccount(account);
+            await accountRegistry.remove(account.id);
+        }, 'deleteAccount');
+        logWithFlush(`[账号] 删除账号 ${account.id}`);
+        res.json({ success: true, message: '账号已删除' });
+    } catch (error) {
+        logErrorWithFlush('[API] 删除账号错误:', error.message);
+        res.status(queueErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+app.get('/api/posts', requireScope('history'), (req, res) => {
+    const { accountId, kind, status, from, to, q } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 20, 1), 100);
+    if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+        return res.status(400).json({ error: 'from/to 必须是有效的时间' });
+    }
+    if (status && !['succeeded', 'failed'].includes(status)) {
+        return res.status(400).json({ error: 'status 只能是 succeeded 或 failed' });
+    }
+    if (kind && !['post', 'comment', 'repost'].includes(kind)) {
+        return res.status(400).json({ error: 'kind 只能是 post、comment 或 repost' });
+    }
+    res.json(postHistory.query({ accountId, kind, status, from, to, q, page, pageSize }));
+});
+
+function createInteractionRoute(kind) {
+    const { tag } = WEIBO_INTERACTIONS[kind];
+    return async (req, res) => {
+        try {
+            const { weiboId } = req.params;
+            const content = req.body.content ?? '';
+            if (!/^\d+$/.test(weiboId)) {
+                return res.status(400).json({ error: 'weiboId 无效' });
+            }
+            if (typeof content !== 'string' || content.length > 2000 || (kind === 'comment' && !content)) {
+                return res.status(400).json({ error: '内容无效或过长' });
+            }
+
+            const params = { accountId: req.account.id, weiboId, content };
+            if (wantsAsync(req)) {
+                const job = await jobManager.submit(kind, {
+                    ...params,
+                    meta: { source: 'async', client: getRequestClient(req), requestedAt: new Date().toISOString() }
+                }, { notBefore: req.notBefore });
+                return respondAccepted(res, job);
+            }
+
+            const meta = { source: 'api', client: getRequestClient(req), requestedAt: new Date().toISOString() };
+            const result = await enqueuePublish(
+                req.account.id,
+                () => interactWithWeibo(req.account, kind, weiboId, content, { meta }),
+                jobHandlers[kind].operationName
+            );
+            res.json(result);
+        } catch (error) {
+            logErrorWithFlush(`[API] ${tag}错误:`, error.message);
+            res.status(queueErrorStatus(error)).json({ error: error.message });
+        } finally {
+            if (req.releasePostSlot) req.releasePostSlot();
+        }
+    };
+}
+
+app.post(['/api/posts/:weiboId/comments', '/api/accounts/:accountId/posts/:weiboId/comments'], requireScope('post'), resolveAccount, enforceRateLimit({ allowAsync: true }), createInteractionRoute('comment'));
+app.post(['/api/posts/:weiboId/repost', '/api/accounts/:accountId/posts/:weiboId/repost'], requireScope('post'), resolveAccount, enforceRateLimit({ allowAsync: true }), createInteractionRoute('repost'));
+
+// 按时间范围批量删除经由本服务发出的微博
+app.delete('/api/posts', requireScope('post'), async (req, res) => {
+    try {
+        const { accountId, from, to } = req.query;
+        if (!from || !to || Number.isNaN(Date.parse(from)) || Number.isNaN(Date.parse(to))) {
+            return res.status(400).json({ error: '批量删除必须提供有效的 from 和 to 时间' });
+        }
+        if (accountId && !accountRegistry.get(accountId)) {
+            return res.status(404).json({ error: `账号不存在: ${accountId}` });
+        }
+
+        const params = { accountId, from, to };
+        if (wantsAsync(req)) {
+            return respondAccepted(res, await jobManager.submit('deletePosts', params));
+        }
+        const result = await requestQueue.enqueue(() => deletePostsInRange(params), 'deletePosts', {
+            timeout: deletePostsTimeout(params)
+        });
+        res.json(result);
+    } catch (error) {
+        logErrorWithFlush('[API] 批量删除微博错误:', error.message);
+        res.status(queueErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+app.delete(['/api/posts/:weiboId', '/api/accounts/:accountId/posts/:weiboId'], requireScope('post'), resolveAccount, async (req, res) => {
+    try {
+        const { weiboId } = req.params;
+        if (!/^\d+$/.test(weiboId)) {
+            return res.status(400).json({ error: 'weiboId 无效' });
+        }
+        // 未指定账号时，优先使用发送记录中发出这条微博的账号
+        const owner = !req.params.accountId && postHistory.findByWeiboId(weiboId)[0];
+        const account = (owner && accountRegistry.get(owner.accountId)) || req.account;
+        const result = await requestQueue.enqueue(() => deleteWeibo(account, weiboId), 'deleteWeibo');
+        res.json(result);
+    } catch (error) {
+        logErrorWithFlush('[API] 删除微博错误:', error.message);
+        res.status(queueErrorStatus(error)).json({ error: error.message });
+    }
+});
+
+// Mastodon 兼容接口，均作用于默认账号
+app.get('/api/v1/accounts/verify_credentials', requireScope('post'), resolveAccount, (req, res) => {
+    res.json(toMastodonAccount(req.account));
+});
+
+app.post(['/api/v1/media', '/api/v2/media'], requireScope('post'), (req, res) => {
+    mastodonMediaUpload(req, res, async (error) => {
+        if (error) {
+            if (req.file) await fs.remove(req.file.path).catch(() => {});
+            if (error instanceof multer.MulterError) {
+                return res.status(422).json({ error: error.code === 'LIMIT_FILE_SIZE' ? '文件过大' : error.message });
+            }
+            if (error instanceof MediaError) {
+                return res.status(422).json({ error: error.message });
             }
+            logErrorWithFlush('[Mastodon] 上传附件错误:', error.message);
+            return res.status(500).json({ error: error.message });
+        }
+
+        if (!req.file) {
+            return res.status(422).json({ error: '缺少 file 字段' });
+        }
+        const description = req.body?.description;
+        if (description !== undefined && (typeof description !== 'string' || description.length > MASTODON_MAX_DESCRIPTION)) {
+            await fs.remove(req.file.path).catch(() => {});
+            return res.status(422).json({ error: `description 不能超过 ${MASTODON_MAX_DESCRIPTION} 个字符` });
+        }
+
+        const item = mastodonMedia.add({ file: req.file, tokenId: req.token.id, description });
+        logWithFlush(`[Mastodon] 已接收附件 ${item.id} (${item.type})`);
+        res.json(toMastodonMedia(item));
+    });
+});
+
+app.post('/api/v1/statuses', requireScope('post'), resolveAccount, (req, res, next) => {
+    if (!req.is('multipart/form-data')) return next();
+    mastodonFormFields(req, res, (error) => (error ? res.status(422).json({ error: error.message }) : next()));
+}, parseMastodonStatus, handleIdempotencyKey, enforceRateLimit(), async (req, res) => {
+    try {
+        const { content, mediaIds, inReplyToId, visibility } = req.body;
+        const { options: composer } = parseComposerOptions({ visibility });
+        const account = req.account;
+        const meta = { source: 'mastodon', client: getRequestClient(req), requestedAt: new Date().toISOString() };
+
+        let media;
+        try {
+            media = mastodonMedia.resolve(mediaIds, req.token.id);
         } catch (error) {
-            lastError = error;
-            logErrorWithFlush(`[发送微博] 失败 (尝试 ${i + 1}):`, error.message);
-            if (i < maxRetries - 1) {
-                await new Promise(resolve => setTimeout(resolve, 3000));
+            return res.status(422).json({ error: error.message });
+        }
+        const images = media.filter(item => item.type === 'image').map(item => item.path);
+        const videos = media.filter(item => item.type === 'video').map(item => item.path);
+        if (videos.length > 1 || (videos.length > 0 && images.length > 0)) {
+            return res.status(422).json({ error: '最多附带 1 个视频，且不能与图片混合' });
+        }
+
+        let id;
+        let text;
+        if (inReplyToId) {
+            // 回复映射为对目标微博的评论
+            if (media.length > 0) {
+                return res.status(422).json({ error: '回复（评论）不支持附件' });
             }
-        } finally {
-            if (page) {
-                await page.close().catch(() => {});
+            if (!content) {
+                return res.status(422).json({ error: '内容不能为空' });
             }
+            const result = await enqueuePublish(
+                account.id,
+                () => interactWithWeibo(account, 'comment', inReplyToId, content, { meta }),
+                jobHandlers.comment.operationName
+            );
+            id = result.commentId;
+            text = result.content;
+        } else {
+            const result = await enqueuePublish(
+                account.id,
+                () => postWeibo(account, content, {
+                    images,
+                    video: videos[0] || null,
+                    composer,
+                    checkDuplicate: req.idempotencyRetry,
+                    meta
+                }),
+                'postWeibo',
+                { timeout: publishTimeout(videos[0]) }
+            );
+            id = result.weiboId;
+            text = result.content;
+        }
+
+        await mastodonMedia.remove(media);
+        res.json(toMastodonStatus({ id, text, createdAt: new Date().toISOString(), account, inReplyToId, media, visibility }));
+    } catch (error) {
+        logErrorWithFlush('[Mastodon] 发送微博错误:', error.message);
+        res.status(queueErrorStatus(error)).json({ error: error.message });
+    } finally {
+        if (req.releasePostSlot) req.releasePostSlot();
+    }
+});
+
+app.delete('/api/v1/statuses/:id', requireScope('post'), resolveAccount, async (req, res) => {
+    try {
+        const weiboId = req.params.id;
+        if (!/^\d+$/.test(weiboId)) {
+            return res.status(404).json({ error: '微博不存在' });
         }
+        // 优先使用发送记录中发出这条微博的账号
+        const record = postHistory.findByWeiboId(weiboId)[0];
+        const account = (record && accountRegistry.get(record.accountId)) || req.account;
+        await requestQueue.enqueue(() => deleteWeibo(account, weiboId), 'deleteWeibo');
+        res.json(toMastodonStatus({
+            id: weiboId,
+            text: record?.content || '',
+            createdAt: record?.finishedAt || new Date().toISOString(),
+            account,
+            visibility: record?.visibility
+        }));
+    } catch (error) {
+        logErrorWithFlush('[Mastodon] 删除微博错误:', error.message);
+        res.status(queueErrorStatus(error)).json({ error: error.message });
     }
-    
-    throw lastError || new Error('发送微博失败');
+});
+
+app.get('/api/tokens', requireScope('admin'), (req, res) => {
+    res.json({ tokens: tokenStore.list().map(describeToken), scopes: TOKEN_SCOPES });
+});
+
+app.post('/api/tokens', requireScope('admin'), async (req, res) => {
+    try {
+        const { name, scopes, expiresAt = null, quota = null } = req.body;
+        if (typeof name !== 'string' || !name.trim() || name.length > 64) {
+            return res.status(400).json({ error: 'name 必须是 1-64 个字符' });
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !TOKEN_SCOPES.includes(scope))) {
+            return res.status(400).json({ error: `scopes 必须是以下权限的非空数组: ${TOKEN_SCOPES.join(', ')}` });
+        }
+        if (expiresAt !== null && (Number.isNaN(Date.parse(expiresAt)) || Date.parse(expiresAt) <= Date.now())) {
+            return res.status(400).json({ error: 'expiresAt 必须是未来的时间' });
+        }
+        const isLimit = (value) => value === undefined || value === null || (Number.isInteger(value) && value >= 0);
+        if (quota !== null && (typeof quota !== 'object' || !isLimit(quota.hourly) || !isLimit(quota.daily))) {
+            return res.status(400).json({ error: 'quota.hourly/quota.daily 必须是非负整数（0 表示不限制）' });
+        }
+
+        const { record, token } = await tokenStore.create({
+            name: name.trim(),
+            scopes: [...new Set(scopes)],
+            expiresAt: expiresAt && new Date(expiresAt).toISOString(),
+            quota: quota && { hourly: quota.hourly ?? null, daily: quota.daily ?? null }
+        });
+        logWithFlush(`[Token] ${req.token.name} 创建了 Token ${record.name} (${record.scopes.join(',')})`);
+        // 明文 Token 只在创建时返回一次
+        res.status(201).json({ ...describeToken(record), token });
+    } catch (error) {
+        logErrorWithFlush('[API] 创建 Token 错误:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/tokens/:id/rotate', requireScope('admin'), async (req, res) => {
+    try {
+        if (req.params.id === 'env') {
+            return res.status(400).json({ error: '环境变量中的 Token 只能通过修改 AUTH_TOKEN 更换' });
+        }
+        const rotated = await tokenStore.rotate(req.params.id);
+        if (!rotated) {
+            return res.status(404).json({ error: 'Token 不存在' });
+        }
+        logWithFlush(`[Token] ${req.token.name} 轮换了 Token ${rotated.record.name}`);
+        res.json({ ...describeToken(rotated.record), token: rotated.token });
+    } catch (error) {
+        logErrorWithFlush('[API] 轮换 Token 错误:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/tokens/:id', requireScope('admin'), async (req, res) => {
+    try {
+        if (req.params.id === 'env') {
+            return res.status(400).json({ error: '环境变量中的 Token 只能通过修改 AUTH_TOKEN 更换' });
+        }
+        if (!(await tokenStore.remove(req.params.id))) {
+            return res.status(404).json({ error: 'Token 不存在' });
+        }
+        logWithFlush(`[Token] ${req.token.name} 吊销了 Token ${req.params.id}`);
+        res.json({ success: true, message: 'Token 已吊销' });
+    } catch (error) {
+        logErrorWithFlush('[API] 吊销 Token 错误:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/audit', requireScope('admin'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+        const entries = await auditLog.read({ tokenId: req.query.tokenId, limit });
+        res.json({ entries });
+    } catch (error) {
+        logErrorWithFlush('[API] 读取审计日志错误:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/webhooks', requireScope('admin'), (req, res) => {
+    res.json({ webhooks: webhookManager.list().map(describeWebhook), events: WEBHOOK_EVENTS });
+});
+
+app.post('/api/webhooks', requireScope('admin'), async (req, res) => {
+    try {
+        const { url, events, secret } = req.body;
+        if (typeof url !== 'string' || !/^https?:\/\/\S+$/i.test(url)) {
+            return res.status(400).json({ error: 'url 必须是 http 或 https 地址' });
+        }
+        if (events !== undefined && (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event)))) {
+            return res.status(400).json({ error: `events 必须是以下事件的非空数组: ${WEBHOOK_EVENTS.join(', ')}` });
+        }
+        if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+            return res.status(400).json({ error: 'secret 至少 16 个字符' });
+        }
+
+        const hook = await webhookManager.add({ url, events, secret });
+        logWithFlush(`[Webhook] 新增地址 ${hook.url}`);
+        // 签名密钥只在创建时返回一次
+        res.status(201).json(hook);
+    } catch (error) {
+        logErrorWithFlush('[API] 新增 Webhook 错误:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/webhooks/deliveries', requireScope('admin'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+        const deliveries = await webhookManager.readLog({ webhookId: req.query.webhookId, limit });
+        res.json({ deliveries });
+    } catch (error) {
+        logErrorWithFlush('[API] 读取投递日志错误:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/webhooks/:id', requireScope('admin'), async (req, res) => {
+    try {
+        if (req.params.id.startsWith('env-')) {
+            return res.status(400).json({ error: '环境变量配置的 Webhook 不能通过接口删除' });
+        }
+        if (!(await webhookManager.remove(req.params.id))) {
+            return res.status(404).json({ error: 'Webhook 不存在' });
+        }
+        res.json({ success: true, message: 'Webhook 已删除' });
+    } catch (error) {
+        logErrorWithFlush('[API] 删除 Webhook 错误:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 校验新增/修改订阅的参数，返回错误信息
+function validateFeedOptions(body, creating) {
+    const { url, accountId, template, intervalMinutes, maxLength } = body;
+    if (creating && (typeof url !== 'string' || !/^(https?:\/\/|file:\/\/\/|\/)\S+$/i.test(url))) {
+        return 'url 必须是 http(s) 地址、file:// 地址或本地绝对路径';
+    }
+    if (accountId !== undefined && !accountRegistry.get(accountId)) {
+        return `账号不存在: ${accountId}`;
+    }
+    if (template !== undefined && (typeof template !== 'string' || !template.trim() || template.length > 500)) {
+        return 'template 不能为空且不能超过 500 个字符';
+    }
+    if (intervalMinutes !== undefined && (typeof intervalMinutes !== 'number' || !(intervalMinutes >= 1 && intervalMinutes <= 1440))) {
+        return 'intervalMinutes 必须在 1-1440 之间';
+    }
+    if (maxLength !== undefined && (!Number.isInteger(maxLength) || maxLength < 20 || maxLength > FEED_MAX_CONTENT_LENGTH)) {
+        return `maxLength 必须是 20-${FEED_MAX_CONTENT_LENGTH} 之间的整数`;
+    }
+    for (const field of ['dryRun', 'postExisting', 'enabled']) {
+        if (body[field] !== undefined && typeof body[field] !== 'boolean') {
+            return `${field} 必须是布尔值`;
+        }
+    }
+    return null;
 }
 
-// ========================= API 路由（使用队列） =========================
-app.get('/api/status', async (req, res) => {
+app.get('/api/feeds', requireScope('admin'), (req, res) => {
+    res.json({ feeds: feedBridge.list().map(describeFeed), templateFields: FEED_TEMPLATE_FIELDS });
+});
+
+app.post('/api/feeds', requireScope('admin'), async (req, res) => {
     try {
-        const loginStatus = await requestQueue.enqueue(
-            () => checkLoginStatus(),
-            'checkLoginStatus'
-        );
-        res.json({ isLoggedIn: loginStatus });
+        const error = validateFeedOptions(req.body, true);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (feedBridge.list().some(feed => feed.url === req.body.url)) {
+            return res.status(409).json({ error: `订阅已存在: ${req.body.url}` });
+        }
+
+        const feed = await feedBridge.add(req.body);
+        logWithFlush(`[订阅] 新增订阅 ${feed.id}: ${feed.url}${feed.dryRun ? ' (试运行)' : ''}`);
+        res.status(201).json(describeFeed(feed));
     } catch (error) {
-        logErrorWithFlush('[API] 状态检查错误:', error);
+        logErrorWithFlush('[API] 新增订阅错误:', error.message);
         res.status(500).json({ error: error.message });
     }
 });
 
-app.get('/api/qrcode', async (req, res) => {
+app.patch('/api/feeds/:id', requireScope('admin'), async (req, res) => {
     try {
-        const qrCodeUrl = await requestQueue.enqueue(
-            () => getQRCode(),
-            'getQRCode'
-        );
-        res.json({ qrCodeUrl });
+        const feed = feedBridge.get(req.params.id);
+        if (!feed) {
+            return res.status(404).json({ error: '订阅不存在' });
+        }
+        const error = validateFeedOptions(req.body, false);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const changes = {};
+        for (const field of ['accountId', 'template', 'intervalMinutes', 'maxLength', 'dryRun', 'enabled']) {
+            if (req.body[field] !== undefined) changes[field] = req.body[field];
+        }
+        await feedBridge.update(feed, changes);
+        logWithFlush(`[订阅] 修改订阅 ${feed.id}: ${Object.keys(changes).join(', ') || '无变化'}`);
+        res.json(describeFeed(feed));
     } catch (error) {
-        logErrorWithFlush('[API] 二维码错误:', error);
+        logErrorWithFlush('[API] 修改订阅错误:', error.message);
         res.status(500).json({ error: error.message });
     }
 });
 
-app.get('/api/scan-status', async (req, res) => {
+app.delete('/api/feeds/:id', requireScope('admin'), async (req, res) => {
     try {
-        const status = await requestQueue.enqueue(
-            () => checkScanStatus(),
-            'checkScanStatus'
-        );
-        res.json(status);
+        if (!(await feedBridge.remove(req.params.id))) {
+            return res.status(404).json({ error: '订阅不存在' });
+        }
+        logWithFlush(`[订阅] 删除订阅 ${req.params.id}`);
+        res.json({ success: true, message: '订阅已删除' });
     } catch (error) {
-        logErrorWithFlush('[API] 扫码状态错误:', error);
+        logErrorWithFlush('[API] 删除订阅错误:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 立即检查一次，?dryRun=1 时只预览要发送的内容
+app.post('/api/feeds/:id/check', requireScope('admin'), async (req, res) => {
+    try {
+        const feed = feedBridge.get(req.params.id);
+        if (!feed) {
+            return res.status(404).json({ error: '订阅不存在' });
+        }
+        const dryRun = feed.dryRun || req.query.dryRun === '1' || req.query.dryRun === 'true';
+        res.json(await feedBridge.check(feed, { dryRun }));
+    } catch (error) {
+        if (error instanceof FeedError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logErrorWithFlush('[API] 检查订阅错误:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/feeds/:id/items', requireScope('admin'), (req, res) => {
+    if (!feedBridge.get(req.params.id)) {
+        return res.status(404).json({ error: '订阅不存在' });
+    }
+    res.json({ items: feedBridge.listItems(req.params.id, req.query.status) });
+});
+
+// 故障诊断包：截图和页面内容可能含账号信息，仅限管理员
+app.get('/api/diagnostics', requireScope('admin'), async (req, res) => {
+    try {
+        const bundles = await diagnostics.list();
+        res.json({
+            enabled: DIAGNOSTICS_ENABLED,
+            maxBundles: DIAGNOSTICS_MAX_BUNDLES,
+            maxBytes: DIAGNOSTICS_MAX_BYTES,
+            bundles: bundles.filter(meta => !req.query.operation || meta.operation === req.query.operation)
+        });
+    } catch (error) {
+        logErrorWithFlush('[API] 获取诊断包错误:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/diagnostics/:id', requireScope('admin'), async (req, res) => {
+    const meta = await diagnostics.get(req.params.id);
+    if (!meta) {
+        return res.status(404).json({ error: '诊断包不存在' });
+    }
+    res.json(meta);
+});
+
+app.get('/api/diagnostics/:id/files/:name', requireScope('admin'), async (req, res) => {
+    const meta = await diagnostics.get(req.params.id);
+    const filePath = meta && diagnostics.filePath(meta, req.params.name);
+    if (!filePath) {
+        return res.status(404).json({ error: '文件不存在' });
+    }
+    // HTML 作为附件下载，避免在本服务的域名下渲染微博页面
+    res.download(filePath, `${meta.id}-${req.params.name}`);
+});
+
+app.delete('/api/diagnostics/:id', requireScope('admin'), async (req, res) => {
+    try {
+        if (!(await diagnostics.remove(req.params.id))) {
+            return res.status(404).json({ error: '诊断包不存在' });
+        }
+        logWithFlush(`[诊断] 删除诊断包 ${req.params.id}`);
+        res.json({ success: true, message: '诊断包已删除' });
+    } catch (error) {
+        logErrorWithFlush('[API] 删除诊断包错误:', error.message);
         res.status(500).json({ error: error.message });
     }
 });
 
-app.post('/api/post', async (req, res) => {
+// 查看请求队列：正在执行的任务和按执行顺序排列的等待任务
+app.get('/api/queue', requireScope('admin'), (req, res) => {
+    res.json(requestQueue.list());
+});
+
+// 取消尚未开始的任务，等待它的请求或异步任务返回 409
+app.delete('/api/queue/:id', requireScope('admin'), (req, res) => {
+    if (requestQueue.currentTask?.id === req.params.id) {
+        return res.status(409).json({ error: '任务已开始执行，无法取消' });
+    }
+    if (!requestQueue.cancel(req.params.id)) {
+        return res.status(404).json({ error: '任务不存在或已完成' });
+    }
+    res.json({ success: true, message: '任务已取消' });
+});
+
+app.get('/api/jobs', requireScope('post', 'history'), (req, res) => {
+    res.json({ jobs: jobManager.list(req.query.state).map(describeJob) });
+});
+
+app.get('/api/jobs/:id', requireScope('post', 'history'), (req, res) => {
+    const job = jobManager.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: '任务不存在' });
+    }
+    res.json(describeJob(job));
+});
+
+app.post('/api/schedule', requireScope('post'), async (req, res) => {
     try {
-        const { content } = req.body;
+        const { content, publishAt, accountId = DEFAULT_ACCOUNT_ID } = req.body;
+        if (!accountRegistry.get(accountId)) {
+            return res.status(404).json({ error: `账号不存在: ${accountId}` });
+        }
         if (!content || typeof content !== 'string' || content.length > 2000) {
             return res.status(400).json({ error: '内容无效或过长' });
         }
-        
-        const result = await requestQueue.enqueue(
-            () => postWeibo(content),
-            'postWeibo'
-        );
-        res.json(result);
+        const publishTime = typeof publishAt === 'number' ? publishAt : Date.parse(publishAt);
+        if (!Number.isFinite(publishTime)) {
+            return res.status(400).json({ error: 'publishAt 无效，请使用 ISO 8601 时间或毫秒时间戳' });
+        }
+        if (publishTime <= Date.now()) {
+            return res.status(400).json({ error: 'publishAt 必须是将来的时间' });
+        }
+
+        const item = await postScheduler.add(accountId, content, publishTime);
+        logWithFlush(`[定时发送] 新增任务 ${item.id} (计划时间: ${item.publishAt})`);
+        res.status(201).json(item);
     } catch (error) {
-        logErrorWithFlush('[API] 发送微博错误:', error.message);
+        logErrorWithFlush('[API] 新增定时任务错误:', error.message);
         res.status(500).json({ error: error.message });
     }
 });
 
-app.post('/api/logout', async (req, res) => {
+app.get('/api/schedule', requireScope('post', 'history'), (req, res) => {
+    const { status, accountId } = req.query;
+    const items = postScheduler.list(status).filter(item => !accountId || item.accountId === accountId);
+    res.json({ items });
+});
+
+app.delete('/api/schedule/:id', requireScope('post'), async (req, res) => {
     try {
-        await requestQueue.enqueue(async () => {
-            logWithFlush('[API] 收到退出登录请求');
-            if (await fs.pathExists(SESSION_FILE)) {
-                await fs.remove(SESSION_FILE);
-            }
-            isLoggedIn = false;
-            
-            if (loginPage && !loginPage.isClosed()) {
-                await loginPage.close().catch(() => {});
-                loginPage = null;
-            }
+        const item = postScheduler.get(req.params.id);
+        if (!item) {
+            return res.status(404).json({ error: '定时任务不存在' });
+        }
+        if (item.status === 'posting') {
+            return res.status(409).json({ error: '任务正在发送中，无法删除' });
+        }
+        await postScheduler.remove(item.id);
+        logWithFlush(`[定时发送] 删除任务 ${item.id}`);
+        res.json({ success: true, message: '定时任务已删除' });
+    } catch (error) {
+        logErrorWithFlush('[API] 删除定时任务错误:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-            // 退出登录时完全关闭浏览器
-            await browserManager.cleanup(true);
-        }, 'logout');
-        
-        res.json({ success: true, message: '退出登录成功' });
+app.get('/api/drafts', requireScope('post', 'approve', 'history'), (req, res) => {
+    const { status, accountId } = req.query;
+    if (status !== undefined && !DRAFT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status 必须是以下取值之一: ${DRAFT_STATUSES.join(', ')}` });
+    }
+    res.json({ items: draftStore.list({ status, accountId }) });
+});
+
+app.get('/api/drafts/:id', requireScope('post', 'approve', 'history'), (req, res) => {
+    const draft = draftStore.get(req.params.id);
+    if (!draft) {
+        return res.status(404).json({ error: '草稿不存在' });
+    }
+    res.json(draft);
+});
+
+app.post('/api/drafts', requireScope('post'), async (req, res) => {
+    try {
+        const { accountId = DEFAULT_ACCOUNT_ID } = req.body;
+        if (!accountRegistry.get(accountId)) {
+            return res.status(404).json({ error: `账号不存在: ${accountId}` });
+        }
+        const { content, composer, error } = parseDraftBody(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const draft = await draftStore.create({ accountId, content, composer }, req.token);
+        logWithFlush(`[草稿] ${req.token.name} 创建了草稿 ${draft.id}`);
+        res.status(201).json(draft);
     } catch (error) {
-        logErrorWithFlush('[API] 退出登录错误:', error);
+        logErrorWithFlush('[API] 创建草稿错误:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/drafts/:id', requireScope('post'), async (req, res) => {
+    try {
+        const draft = draftStore.get(req.params.id);
+        if (!draft) {
+            return res.status(404).json({ error: '草稿不存在' });
+        }
+        const { content, composer, error } = parseDraftBody(req.body, draft);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await draftStore.update(draft, { content, composer }, req.token);
+        logWithFlush(`[草稿] ${req.token.name} 修改了草稿 ${draft.id}`);
+        res.json(draft);
+    } catch (error) {
+        if (error instanceof DraftError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logErrorWithFlush('[API] 修改草稿错误:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+function readReviewComment(body) {
+    const comment = body?.comment ?? null;
+    if (comment !== null && (typeof comment !== 'string' || comment.length > DRAFT_MAX_COMMENT_LENGTH)) {
+        return { error: `comment 必须是不超过 ${DRAFT_MAX_COMMENT_LENGTH} 个字符的字符串` };
+    }
+    return { comment };
+}
+
+app.post('/api/drafts/:id/approve', requireScope('post', 'approve'), async (req, res) => {
+    let releasePostSlot = null;
+    try {
+        const draft = draftStore.get(req.params.id);
+        if (!draft) {
+            return res.status(404).json({ error: '草稿不存在' });
+        }
+        const { comment, error } = readReviewComment(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        draftStore.assertReviewable(draft, req.token, 'approve');
+
+        // 发送计入批准者 Token 的配额
+        releasePostSlot = await rateLimiter.acquire(draft.accountId, req.token);
+        res.json(await draftStore.approve(draft, req.token, comment));
+    } catch (error) {
+        if (error instanceof DraftError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        if (error instanceof RateLimitError) {
+            res.set('Retry-After', String(error.retryAfter));
+            return res.status(429).json({ error: error.message, retryAfter: error.retryAfter });
+        }
+        logErrorWithFlush('[API] 批准草稿错误:', error.message);
+        res.status(queueErrorStatus(error)).json({ error: error.message });
+    } finally {
+        if (releasePostSlot) releasePostSlot();
+    }
+});
+
+app.post('/api/drafts/:id/reject', requireScope('post', 'approve'), async (req, res) => {
+    try {
+        const draft = draftStore.get(req.params.id);
+        if (!draft) {
+            return res.status(404).json({ error: '草稿不存在' });
+        }
+        const { comment, error } = readReviewComment(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await draftStore.reject(draft, req.token, comment);
+        logWithFlush(`[草稿] ${req.token.name} 驳回了草稿 ${draft.id}`);
+        res.json(draft);
+    } catch (error) {
+        if (error instanceof DraftError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logErrorWithFlush('[API] 驳回草稿错误:', error.message);
         res.status(500).json({ error: error.message });
     }
 });
 
+// 存活检查无需鉴权，只返回基本状态；账号、Token 和各模块的详细状态见 /api/health
 app.get('/health', (req, res) => {
-    const queueStatus = requestQueue.getStatus();
     const memUsage = process.memoryUsage();
     const healthInfo = { 
         status: 'ok', 
         timestamp: new Date().toISOString(),
-        isLoggedIn: isLoggedIn,
-        browserStatus: browser ? 'running' : 'stopped',
-        contextStatus: context ? 'active' : 'closed',
-        lastActivity: new Date(lastActivityTime).toISOString(),
-        queue: queueStatus,
+        isLoggedIn: accountRegistry.get(DEFAULT_ACCOUNT_ID).isLoggedIn,
+        browserStatus: browserManager.browser ? 'running' : 'stopped',
+        queue: requestQueue.getStatus(),
         memory: {
             heapUsed: `${Math.round(memUsage.heapUsed / 1024 / 1024)}MB`,
             heapTotal: `${Math.round(memUsage.heapTotal / 1024 / 1024)}MB`,
@@ -676,8 +6153,45 @@ app.get('/health', (req, res) => {
     res.json(healthInfo);
 });
 
+// 详细运行状态，包含账号、会话和每个 Token 的发送计数，需要 metrics（或 admin）权限
+app.get('/api/health', requireScope('metrics'), (req, res) => {
+    res.json({
+        timestamp: new Date().toISOString(),
+        browserStatus: browserManager.browser ? 'running' : 'stopped',
+        browserLifecycle: {
+            mode: browserManager.lifecycle,
+            warm: browserManager.isWarm(),
+            idleTimeoutMinutes: browserManager.idleTimeout / 60000,
+            warmPages: [...browserManager.warmPages.keys()]
+        },
+        postMode: POST_MODE,
+        accounts: accountRegistry.list().map(describeAccount),
+        queue: requestQueue.getStatus(),
+        schedule: postScheduler.getStatus(),
+        drafts: draftStore.getStatus(),
+        feeds: feedBridge.getStatus(),
+        jobs: jobManager.getStatus(),
+        rateLimit: rateLimiter.getStatus()
+    });
+});
+
+// Prometheus 指标，默认需要具备 metrics 权限的 Token，METRICS_PUBLIC=true 时公开
+const metricsAuth = process.env.METRICS_PUBLIC === 'true'
+    ? [(req, res, next) => next()]
+    : [authenticateToken, requireScope('metrics')];
+
+app.get('/metrics', ...metricsAuth, async (req, res) => {
+    try {
+        res.set('Content-Type', metricsRegistry.contentType);
+        res.send(await metricsRegistry.metrics());
+    } catch (error) {
+        logErrorWithFlush('[监控指标] 生成失败:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // 添加测试端点用于验证内存监控
-app.get('/api/test-memory', authenticateToken, (req, res) => {
+app.get('/api/test-memory', requireScope('admin'), (req, res) => {
     logWithFlush('[测试] 手动触发内存监控和GC测试');
     logMemoryUsage('测试 - GC前');
     performGC('手动测试');
@@ -702,6 +6216,12 @@ app.use((err, req, res, next) => {
 // ========================= 优雅关闭 =========================
 async function gracefulShutdown(signal) {
     logWithFlush(`[关闭] 收到 ${signal} 信号`);
+    postScheduler.stop();
+    feedBridge.stop();
+    sessionKeeper.stop();
+    for (const watcher of [...loginWatchers.values()]) {
+        watcher.stop();
+    }
     
     // 等待队列清空（最多等待30秒）
     const maxWait = 30000;
@@ -720,30 +6240,78 @@ async function gracefulShutdown(signal) {
     process.exit(0);
 }
 
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-
 process.on('unhandledRejection', (reason) => {
     logErrorWithFlush('[Promise拒绝]:', reason);
 });
 
-app.listen(PORT, () => {
-    logWithFlush(`[启动] 🚀 服务器运行在端口 ${PORT}`);
-    logWithFlush(`[启动] 🌐 访问: http://localhost:${PORT}`);
-    logWithFlush(`[启动] ❤️ 健康检查: http://localhost:${PORT}/health`);
-    logWithFlush(`[启动] 🔄 请求队列已启用，自动处理并发冲突`);
-    logWithFlush(`[启动] 💾 内存优化模式：空闲2分钟后自动关闭浏览器`);
+// 单元测试只加载模块、使用导出的函数，不启动服务
+if (require.main === module) {
+    process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+    process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+
+    app.listen(PORT, () => {
+        logWithFlush(`[启动] 🚀 服务器运行在端口 ${PORT}`);
+        logWithFlush(`[启动] 🌐 访问: http://localhost:${PORT}`);
+        logWithFlush(`[启动] ❤️ 健康检查: http://localhost:${PORT}/health`);
+        logWithFlush(`[启动] 🔄 请求队列已启用，自动处理并发冲突`);
+        logWithFlush(`[启动] 💾 浏览器生命周期 (${browserManager.lifecycle})：${browserManager.describeLifecycle()}`);
     
-    // 检查 GC 是否可用
-    const gcAvailable = typeof global.gc === 'function';
-    logWithFlush(`[启动] 🧹 垃圾回收 GC: ${gcAvailable ? '✅ 已启用 (每次操作后自动清理)' : '❌ 未启用 (需要 --expose-gc 参数)'}`);
+        // 检查 GC 是否可用
+        const gcAvailable = typeof global.gc === 'function';
+        logWithFlush(`[启动] 🧹 垃圾回收 GC: ${gcAvailable ? '✅ 已启用 (每次操作后自动清理)' : '❌ 未启用 (需要 --expose-gc 参数)'}`);
     
-    if (!gcAvailable) {
-        logWithFlush(`[启动] ⚠️ 提示: 请在启动命令中添加 --expose-gc 参数以启用手动垃圾回收`);
-    }
+        if (!gcAvailable) {
+            logWithFlush(`[启动] ⚠️ 提示: 请在启动命令中添加 --expose-gc 参数以启用手动垃圾回收`);
+        }
     
-    // 启动时记录初始内存状态
-    setTimeout(() => {
-        logMemoryUsage('启动完成');
-    }, 1000);
-});
+        postScheduler.start().catch(error => {
+            logErrorWithFlush('[定时发送] 调度器启动失败:', error.message);
+        });
+        jobManager.start().catch(error => {
+            logErrorWithFlush('[异步任务] 恢复任务失败:', error.message);
+        });
+        feedBridge.start();
+        sessionKeeper.start();
+        browserManager.start();
+    
+        // 启动时记录初始内存状态
+        setTimeout(() => {
+            logMemoryUsage('启动完成');
+        }, 1000);
+    });
+}
+
+// 供单元测试使用
+module.exports = {
+    app,
+    PostRateLimiter,
+    RateLimitError,
+    parseComposerOptions,
+    parseSetCookie,
+    cookieMatches,
+    parseWarmWindows,
+    inWarmWindow,
+    RequestQueue,
+    QueueTaskError,
+    MediaError,
+    isBlockedAddress,
+    downloadMedia,
+    parseMediaUpload,
+    handleIdempotencyKey,
+    WebhookManager,
+    SessionCryptoError,
+    sealSession,
+    openSession,
+    readSessionFile,
+    writeSessionFile,
+    migrateSessionFileSync,
+    exportSessionBlob,
+    importSessionBlob,
+    loadSession,
+    browserManager,
+    requestQueue,
+    sessionKeeper,
+    PostHistory,
+    requestContext,
+    logWithFlush
+};
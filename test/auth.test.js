@@ -0,0 +1,150 @@
+// Token 鉴权：摘要存储、权限、过期、轮换、吊销和审计日志
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const fs = require('fs-extra');
+const { setTimeout: sleep } = require('timers/promises');
+const { loadServer, listen } = require('./load-server');
+
+const ADMIN_TOKEN = 'unit-test-token';
+const { dataDir, app } = loadServer({ AUTH_TOKEN: ADMIN_TOKEN });
+const baseUrl = listen(app);
+
+async function api(method, pathname, token, body) {
+    const response = await fetch(await baseUrl + pathname, {
+        method,
+        headers: {
+            ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// 审计日志异步写入，等到出现符合条件的记录
+async function findAudit(match) {
+    for (let i = 0; i < 40; i++) {
+        const { body } = await api('GET', '/api/audit?limit=1000', ADMIN_TOKEN);
+        const entry = body.entries.find(match);
+        if (entry) return entry;
+        await sleep(50);
+    }
+    return null;
+}
+
+test('Token 只以 SHA-256 摘要保存，明文只在创建时返回', async () => {
+    const res = await api('POST', '/api/tokens', ADMIN_TOKEN, { name: 'reader', scopes: ['history'] });
+    assert.equal(res.status, 201);
+    assert.match(res.body.token, /\S{32,}/);
+    assert.equal(res.body.hash, undefined);
+
+    const stored = await fs.readJson(path.join(dataDir, 'tokens.json'));
+    const record = stored.find(item => item.id === res.body.id);
+    assert.equal(record.hash, crypto.createHash('sha256').update(res.body.token).digest('hex'));
+    assert.ok(!JSON.stringify(stored).includes(res.body.token));
+
+    const list = await api('GET', '/api/tokens', ADMIN_TOKEN);
+    assert.ok(list.body.tokens.every(token => token.hash === undefined));
+});
+
+test('缺少或无效的 Token 返回 401，权限不足返回 403', async () => {
+    assert.equal((await api('GET', '/api/posts')).status, 401);
+    assert.equal((await api('GET', '/api/posts', 'not-a-token')).status, 401);
+
+    const { body: { token } } = await api('POST', '/api/tokens', ADMIN_TOKEN, { name: 'history-only', scopes: ['history'] });
+    assert.equal((await api('GET', '/api/posts', token)).status, 200);
+
+    const denied = await api('GET', '/api/tokens', token);
+    assert.equal(denied.status, 403);
+    assert.match(denied.body.error, /需要 admin 权限/);
+    assert.equal((await api('POST', '/api/post', token, { content: '越权发送' })).status, 403);
+
+    // admin 权限可以访问所有接口
+    assert.equal((await api('GET', '/api/posts', ADMIN_TOKEN)).status, 200);
+});
+
+test('过期的 Token 返回 401 并提示已过期', async () => {
+    const expiresAt = new Date(Date.now() + 500).toISOString();
+    const { body: { token } } = await api('POST', '/api/tokens', ADMIN_TOKEN, { name: 'short-lived', scopes: ['history'], expiresAt });
+    assert.equal((await api('GET', '/api/posts', token)).status, 200);
+
+    await sleep(600);
+    const res = await api('GET', '/api/posts', token);
+    assert.equal(res.status, 401);
+    assert.match(res.body.error, /已过期/);
+
+    const past = await api('POST', '/api/tokens', ADMIN_TOKEN, { name: 'expired', scopes: ['history'], expiresAt: '2000-01-01T00:00:00Z' });
+    assert.equal(past.status, 400);
+});
+
+test('轮换后旧 Token 失效，吊销后 Token 无法再使用', async () => {
+    const created = await api('POST', '/api/tokens', ADMIN_TOKEN, { name: 'rotating', scopes: ['history'] });
+    const { id, token: oldToken } = created.body;
+
+    const rotated = await api('POST', `/api/tokens/${id}/rotate`, ADMIN_TOKEN);
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.body.token, oldToken);
+    assert.equal((await api('GET', '/api/posts', oldToken)).status, 401);
+    assert.equal((await api('GET', '/api/posts', rotated.body.token)).status, 200);
+
+    assert.equal((await api('DELETE', `/api/tokens/${id}`, ADMIN_TOKEN)).status, 200);
+    assert.equal((await api('GET', '/api/posts', rotated.body.token)).status, 401);
+    assert.equal((await api('DELETE', `/api/tokens/${id}`, ADMIN_TOKEN)).status, 404);
+
+    // 环境变量中的 Token 不能通过接口轮换或删除
+    assert.equal((await api('POST', '/api/tokens/env/rotate', ADMIN_TOKEN)).status, 400);
+});
+
+test('修改类请求和鉴权失败都记录到审计日志', async () => {
+    const created = await api('POST', '/api/tokens', ADMIN_TOKEN, { name: 'audited', scopes: ['history'] });
+    const entry = await findAudit(item => item.method === 'POST' && item.path === '/api/tokens' && item.status === 201);
+    assert.ok(entry);
+    assert.equal(entry.tokenId, 'env');
+    assert.equal(entry.tokenName, 'AUTH_TOKEN');
+
+    await api('GET', '/api/audit-probe', 'wrong-token');
+    const rejected = await findAudit(item => item.path === '/api/audit-probe');
+    assert.equal(rejected.status, 401);
+    assert.equal(rejected.tokenId, null);
+
+    // 查询类请求不记录，按 Token 过滤
+    await api('GET', '/api/posts', created.body.token);
+    await api('DELETE', `/api/tokens/${created.body.id}`, ADMIN_TOKEN);
+    await findAudit(item => item.method === 'DELETE' && item.path === `/api/tokens/${created.body.id}`);
+    const { body } = await api('GET', `/api/audit?tokenId=${created.body.id}`, ADMIN_TOKEN);
+    assert.deepEqual(body.entries, []);
+});
+
+// 启动检查在加载模块时执行，需要单独的进程
+function startupExitCode(env) {
+    return new Promise((resolve, reject) => {
+        const emptyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'weibo-proxy-unit-'));
+        const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+            env: { PATH: process.env.PATH, DATA_DIR: emptyDir, PORT: '0', ...env },
+            stdio: ['ignore', 'ignore', 'pipe']
+        });
+        let stderr = '';
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        const timer = setTimeout(() => child.kill(), 10000);
+        child.on('error', reject);
+        child.on('exit', code => {
+            clearTimeout(timer);
+            fs.removeSync(emptyDir);
+            resolve({ code, stderr });
+        });
+    });
+}
+
+test('使用公开的默认 Token 或没有任何 Token 时拒绝启动', async () => {
+    let result = await startupExitCode({ AUTH_TOKEN: 'weibo-proxy' });
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /AUTH_TOKEN 不能使用默认值/);
+
+    result = await startupExitCode({});
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /未设置 AUTH_TOKEN/);
+});
@@ -0,0 +1,23 @@
+// 发布器选项校验：可见范围、话题和微博定时发布
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./load-server');
+
+const { parseComposerOptions } = loadServer();
+
+test('校验发布器选项', () => {
+    assert.deepEqual(parseComposerOptions(), { options: {} });
+    assert.deepEqual(parseComposerOptions({ visibility: 'public' }), { options: {} });
+    assert.deepEqual(parseComposerOptions({ visibility: 'fans' }), { options: { visibility: 'fans' } });
+    assert.match(parseComposerOptions({ visibility: 'everyone' }).error, /visibility/);
+
+    assert.deepEqual(parseComposerOptions({ topics: ' 话题 ' }), { options: { topics: ['话题'] } });
+    assert.deepEqual(parseComposerOptions({ topics: ['a', 'b', 'a'] }), { options: { topics: ['a', 'b'] } });
+    assert.deepEqual(parseComposerOptions({ topics: [] }), { options: {} });
+    assert.match(parseComposerOptions({ topics: ['#a#'] }).error, /topics/);
+    assert.match(parseComposerOptions({ topics: ['1', '2', '3', '4', '5', '6'] }).error, /topics/);
+    assert.match(parseComposerOptions({ topics: 'x'.repeat(33) }).error, /topics/);
+
+    // 默认站点配置不支持微博定时发布
+    assert.match(parseComposerOptions({ scheduledAt: Date.now() + 3600000 }).error, /\/api\/schedule/);
+});
@@ -0,0 +1,36 @@
+// HTTP 直连：Set-Cookie 解析和按请求地址选择 Cookie
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./load-server');
+
+const { parseSetCookie, cookieMatches } = loadServer();
+
+test('解析 Set-Cookie 并按域名、路径、Secure 和过期时间匹配', () => {
+    const url = new URL('https://weibo.com/ajax/statuses/update');
+    const cookie = parseSetCookie('SUB=abc=def; Domain=weibo.com; Path=/ajax; Secure; HttpOnly; SameSite=none; Max-Age=3600', url);
+    assert.equal(cookie.name, 'SUB');
+    assert.equal(cookie.value, 'abc=def');
+    assert.equal(cookie.domain, '.weibo.com');
+    assert.equal(cookie.path, '/ajax');
+    assert.equal(cookie.secure, true);
+    assert.equal(cookie.httpOnly, true);
+    assert.equal(cookie.sameSite, 'None');
+    assert.ok(Math.abs(cookie.expires - (Date.now() / 1000 + 3600)) < 5);
+    assert.equal(parseSetCookie('invalid', url), null);
+
+    assert.equal(cookieMatches(cookie, url), true);
+    assert.equal(cookieMatches(cookie, new URL('https://m.weibo.com/ajax/comments')), true);
+    assert.equal(cookieMatches(cookie, new URL('http://weibo.com/ajax/statuses/update')), false);
+    assert.equal(cookieMatches(cookie, new URL('https://weibo.com/home')), false);
+    assert.equal(cookieMatches(cookie, new URL('https://notweibo.com/ajax')), false);
+
+    // 没有 Domain 属性的 Cookie 只发给原主机
+    const hostOnly = parseSetCookie('XSRF-TOKEN=t', url);
+    assert.equal(hostOnly.domain, 'weibo.com');
+    assert.equal(hostOnly.expires, -1);
+    assert.equal(cookieMatches(hostOnly, url), true);
+    assert.equal(cookieMatches(hostOnly, new URL('https://m.weibo.com/')), false);
+
+    const expired = parseSetCookie('SUB=; Expires=Thu, 01 Jan 2015 00:00:00 GMT', url);
+    assert.equal(cookieMatches(expired, url), false);
+});
@@ -0,0 +1,523 @@
+// 端到端测试：在模拟微博服务上跑通扫码登录和发送微博的完整流程
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { chromium } = require('playwright');
+const { startFakeWeibo } = require('./fake-weibo');
+
+const AUTH_TOKEN = 'e2e-test-token';
+const browserInstalled = fs.pathExistsSync(chromium.executablePath());
+
+let fake;
+let server;
+let baseUrl;
+let dataDir;
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+async function api(method, pathname, body, base = baseUrl) {
+    const response = await fetch(base + pathname, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${AUTH_TOKEN}`,
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function waitFor(check, timeout = 15000) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('等待超时');
+        await new Promise(resolve => setTimeout(resolve, 300));
+    }
+}
+
+// 读取 SSE 事件流，next() 返回下一个 { event, data }
+async function openEventStream(pathname) {
+    const controller = new AbortController();
+    const response = await fetch(baseUrl + pathname, {
+        headers: { 'Authorization': `Bearer ${AUTH_TOKEN}` },
+        signal: controller.signal
+    });
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    return {
+        response,
+        close: () => controller.abort(),
+        async next() {
+            for (;;) {
+                const index = buffer.indexOf('\n\n');
+                if (index !== -1) {
+                    const block = buffer.slice(0, index);
+                    buffer = buffer.slice(index + 2);
+                    const event = block.match(/^event: (.*)$/m)?.[1];
+                    const data = block.match(/^data: (.*)$/m)?.[1];
+                    if (event) return { event, data: JSON.parse(data) };
+                    continue;
+                }
+                const { value, done } = await reader.read();
+                if (done) return null;
+                buffer += value;
+            }
+        }
+    };
+}
+
+async function nextStatus(stream, status) {
+    for (;;) {
+        const message = await stream.next();
+        assert.ok(message, `事件流在收到 ${status} 前结束`);
+        if (message.event === 'status' && message.data.status === status) return message;
+    }
+}
+
+// 跳过扫码过程直接确认登录
+async function loginWithFakeScan() {
+    await api('GET', '/api/qrcode');
+    await fetch(`${fake.url}/__fake/confirm`, { method: 'POST' });
+    await waitFor(async () => (await api('GET', '/api/scan-status')).body.status === 'success');
+}
+
+// 启动一个连接模拟微博服务的代理服务，等待健康检查通过
+async function startServer(dir, env = {}) {
+    const port = await getFreePort();
+    const url = `http://127.0.0.1:${port}`;
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            AUTH_TOKEN,
+            DATA_DIR: dir,
+            SESSION_ENCRYPTION_KEY: 'e2e-session-key',
+            WEIBO_BASE_URL: fake.url,
+            WEIBO_PASSPORT_URL: `${fake.url}/passport`,
+            ...env
+        },
+        stdio: ['ignore', 'ignore', 'inherit']
+    });
+
+    await waitFor(async () => {
+        try {
+            return (await fetch(`${url}/health`)).ok;
+        } catch {
+            return false;
+        }
+    });
+    return { child, url };
+}
+
+async function stopServer(child) {
+    child.kill('SIGTERM');
+    await new Promise(resolve => child.once('exit', resolve));
+}
+
+before(async () => {
+    if (!browserInstalled) return;
+
+    fake = await startFakeWeibo();
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'weibo-proxy-e2e-'));
+    const started = await startServer(dataDir);
+    server = started.child;
+    baseUrl = started.url;
+});
+
+after(async () => {
+    if (server) await stopServer(server);
+    if (fake) await fake.close();
+    if (dataDir) await fs.remove(dataDir);
+});
+
+test('扫码登录后发送、评论、转发并删除微博', { skip: !browserInstalled && '未安装 Chromium (npx playwright install chromium)' }, async () => {
+    let res = await api('GET', '/api/status');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.isLoggedIn, false);
+
+    res = await api('GET', '/api/qrcode');
+    assert.equal(res.status, 200);
+    assert.match(res.body.qrCodeUrl, /qr\.weibo\.cn/);
+
+    res = await api('GET', '/api/scan-status');
+    assert.equal(res.body.status, 'waiting');
+
+    await fetch(`${fake.url}/__fake/scan`, { method: 'POST' });
+    res = await waitFor(async () => {
+        const status = await api('GET', '/api/scan-status');
+        return status.body.message.includes('扫描成功') && status;
+    });
+    assert.equal(res.body.status, 'waiting');
+
+    await fetch(`${fake.url}/__fake/confirm`, { method: 'POST' });
+    res = await waitFor(async () => {
+        const status = await api('GET', '/api/scan-status');
+        return status.body.status === 'success' && status;
+    });
+    assert.equal(res.body.message, '登录成功');
+    const sessionFile = await fs.readJson(path.join(dataDir, 'session.json'));
+    assert.equal(sessionFile.format, 'weibo-proxy-session');
+    assert.equal(sessionFile.cookies, undefined);
+
+    res = await api('GET', '/api/status');
+    assert.equal(res.body.isLoggedIn, true);
+
+    res = await api('POST', '/api/session/export', { passphrase: 'e2e-passphrase' });
+    assert.equal(res.status, 200);
+    const { blob } = res.body;
+    res = await api('POST', '/api/session/import', { blob, passphrase: 'wrong-passphrase' });
+    assert.equal(res.status, 400);
+    res = await api('POST', '/api/session/import', { blob, passphrase: 'e2e-passphrase' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.isLoggedIn, true);
+
+    res = await api('POST', '/api/post', { content: '来自端到端测试的微博' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.weiboId, fake.state.posts[0].idstr);
+    assert.equal(fake.state.posts[0].text_raw, '来自端到端测试的微博');
+
+    const weiboId = res.body.weiboId;
+
+    res = await api('POST', `/api/posts/${weiboId}/comments`, { content: '一条评论' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.commentId, fake.state.comments[0].idstr);
+    assert.equal(fake.state.comments[0].target, weiboId);
+
+    res = await api('POST', `/api/posts/${weiboId}/repost`, {});
+    assert.equal(res.status, 200);
+    assert.equal(res.body.weiboId, fake.state.posts[0].idstr);
+    assert.equal(fake.state.posts[0].text_raw, '转发微博');
+    assert.equal(fake.state.posts[0].retweeted, weiboId);
+
+    res = await api('DELETE', `/api/posts/${res.body.weiboId}`);
+    assert.equal(res.status, 200);
+    res = await api('DELETE', `/api/posts/${weiboId}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(fake.state.posts.length, 0);
+
+    res = await api('GET', '/api/posts?kind=post');
+    assert.ok(res.body.items[0].deletedAt);
+
+    res = await api('POST', '/api/logout');
+    assert.equal(res.body.success, true);
+    res = await api('GET', '/api/status');
+    assert.equal(res.body.isLoggedIn, false);
+});
+
+test('二维码过期时返回错误', { skip: !browserInstalled && '未安装 Chromium (npx playwright install chromium)' }, async () => {
+    await api('GET', '/api/qrcode');
+    await fetch(`${fake.url}/__fake/expire`, { method: 'POST' });
+    const res = await waitFor(async () => {
+        const status = await api('GET', '/api/scan-status');
+        return status.body.status === 'error' && status;
+    });
+    assert.equal(res.body.message, '二维码已过期，请刷新');
+});
+
+test('事件流推送扫码状态并自动刷新过期二维码', { skip: !browserInstalled && '未安装 Chromium (npx playwright install chromium)' }, async () => {
+    const stream = await openEventStream('/api/login/events');
+    try {
+        assert.match(stream.response.headers.get('content-type'), /text\/event-stream/);
+
+        let message = await stream.next();
+        assert.equal(message.event, 'qrcode');
+        assert.match(message.data.qrCodeUrl, /qr\.weibo\.cn/);
+        assert.match(message.data.image, /^data:image\/png;base64,/);
+        assert.equal(message.data.refreshed, false);
+
+        await fetch(`${fake.url}/__fake/expire`, { method: 'POST' });
+        await nextStatus(stream, 'expired');
+        message = await stream.next();
+        assert.equal(message.event, 'qrcode');
+        assert.equal(message.data.refreshed, true);
+
+        await fetch(`${fake.url}/__fake/scan`, { method: 'POST' });
+        await nextStatus(stream, 'scanned');
+
+        await fetch(`${fake.url}/__fake/confirm`, { method: 'POST' });
+        message = await nextStatus(stream, 'success');
+        assert.equal(message.data.message, '登录成功');
+        assert.equal(await stream.next(), null);
+    } finally {
+        stream.close();
+    }
+
+    const res = await api('GET', '/api/status');
+    assert.equal(res.body.isLoggedIn, true);
+    await api('POST', '/api/logout');
+});
+
+test('订阅源的新条目经由发送队列发出且不会重复发送', { skip: !browserInstalled && '未安装 Chromium (npx playwright install chromium)' }, async () => {
+    await loginWithFakeScan();
+
+    const feedFile = path.join(dataDir, 'feed.xml');
+    const writeFeed = ids => fs.writeFile(feedFile, `<?xml version="1.0"?>
+<rss version="2.0"><channel><title>测试博客</title>${ids.map(id => `
+<item><guid>${id}</guid><title>文章 ${id}</title><link>https://example.com/${id}</link><description>&lt;p&gt;摘要 ${id}&lt;/p&gt;</description></item>`).join('')}
+</channel></rss>`);
+
+    await writeFeed(['a']);
+    let res = await api('POST', '/api/feeds', { url: feedFile, dryRun: true });
+    assert.equal(res.status, 201);
+    const feedId = res.body.id;
+
+    // 首次检查只记录已有条目，不发送
+    res = await api('POST', `/api/feeds/${feedId}/check`);
+    assert.equal(res.body.items.length, 0);
+
+    await writeFeed(['b', 'a']);
+    res = await api('POST', `/api/feeds/${feedId}/check`);
+    assert.equal(res.body.items.length, 1);
+    assert.equal(res.body.items[0].status, 'dry-run');
+    assert.equal(res.body.items[0].content, '文章 b\n摘要 b\nhttps://example.com/b');
+
+    const postCount = fake.state.posts.length;
+    await api('PATCH', `/api/feeds/${feedId}`, { dryRun: false });
+    res = await api('POST', `/api/feeds/${feedId}/check`);
+    assert.equal(res.body.items[0].status, 'posted');
+    assert.equal(fake.state.posts[0].text_raw, '文章 b\n摘要 b\nhttps://example.com/b');
+
+    res = await api('POST', `/api/feeds/${feedId}/check`);
+    assert.equal(res.body.items.length, 0);
+    assert.equal(fake.state.posts.length, postCount + 1);
+
+    await api('DELETE', `/api/feeds/${feedId}`);
+    await api('POST', '/api/logout');
+});
+
+test('Mastodon 兼容接口发送、回复和删除微博', { skip: !browserInstalled && '未安装 Chromium (npx playwright install chromium)' }, async () => {
+    await loginWithFakeScan();
+
+    let res = await api('GET', '/api/v1/accounts/verify_credentials');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.username, 'default');
+
+    // Mastodon 客户端常用表单提交
+    const response = await fetch(`${baseUrl}/api/v1/statuses`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${AUTH_TOKEN}` },
+        body: new URLSearchParams({ status: '来自 Mastodon 客户端 <3' })
+    });
+    const status = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(status.id, fake.state.posts[0].idstr);
+    assert.equal(status.content, '<p>来自 Mastodon 客户端 &lt;3</p>');
+
+    res = await api('POST', '/api/v1/statuses', { status: '回复', in_reply_to_id: status.id });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.in_reply_to_id, status.id);
+    assert.equal(fake.state.comments.at(-1).target, status.id);
+
+    res = await api('POST', '/api/v1/statuses', { status: '仅关注者可见', visibility: 'private' });
+    assert.equal(res.status, 422);
+
+    res = await api('DELETE', `/api/v1/statuses/${status.id}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.text, '来自 Mastodon 客户端 <3');
+    assert.ok(!fake.state.posts.some(post => post.idstr === status.id));
+
+    await api('POST', '/api/logout');
+});
+
+test('按可见范围和话题发送微博，不支持的选项返回错误', { skip: !browserInstalled && '未安装 Chromium (npx playwright install chromium)' }, async () => {
+    await loginWithFakeScan();
+
+    let res = await api('POST', '/api/post', { content: '先自己看看', visibility: 'self', topics: ['测试'] });
+    assert.equal(res.status, 200);
+    assert.equal(fake.state.posts[0].visible, '1');
+    assert.equal(fake.state.posts[0].text_raw, '先自己看看 #测试#');
+
+    res = await api('GET', '/api/posts?kind=post&pageSize=1');
+    assert.equal(res.body.items[0].visibility, 'self');
+
+    res = await api('POST', '/api/post', { content: '定时发布', scheduledAt: new Date(Date.now() + 3600000).toISOString() });
+    assert.equal(res.status, 400);
+    res = await api('POST', '/api/post', { content: '密友可见', visibility: 'close-friends' });
+    assert.equal(res.status, 400);
+
+    await api('POST', '/api/logout');
+});
+
+test('浏览器操作失败时保存诊断包并在错误响应中返回 ID', { skip: !browserInstalled && '未安装 Chromium (npx playwright install chromium)' }, async () => {
+    await loginWithFakeScan();
+
+    let res = await api('DELETE', '/api/posts/4999999999999999');
+    assert.equal(res.status, 500);
+    assert.ok(res.body.diagnosticsId);
+    const { diagnosticsId } = res.body;
+
+    res = await api('GET', `/api/diagnostics/${diagnosticsId}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.operation, 'deleteWeibo');
+    assert.match(res.body.error, /微博不存在/);
+    const files = res.body.files.map(file => file.name);
+    for (const name of ['screenshot.png', 'page.html', 'console.log', 'network.har']) {
+        assert.ok(files.includes(name), name);
+    }
+
+    const har = await fetch(`${baseUrl}/api/diagnostics/${diagnosticsId}/files/network.har`, {
+        headers: { 'Authorization': `Bearer ${AUTH_TOKEN}` }
+    }).then(response => response.json());
+    assert.ok(har.log.entries.some(entry => entry.request.url.includes('/ajax/statuses/destroy')));
+
+    res = await api('GET', `/api/diagnostics/${diagnosticsId}/files/..%2Fjobs.json`);
+    assert.equal(res.status, 404);
+    res = await api('DELETE', `/api/diagnostics/${diagnosticsId}`);
+    assert.equal(res.status, 200);
+
+    await api('POST', '/api/logout');
+});
+
+test('POST_MODE=http 时用已保存的会话直接调用接口，不启动浏览器', { skip: !browserInstalled && '未安装 Chromium (npx playwright install chromium)' }, async () => {
+    await loginWithFakeScan();
+
+    // 用登录后的数据目录启动第二个实例
+    const httpDataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'weibo-proxy-e2e-http-'));
+    await fs.copy(dataDir, httpDataDir);
+    const { child, url } = await startServer(httpDataDir, { POST_MODE: 'http' });
+    try {
+        let res = await api('POST', '/api/post', { content: '直连发送', visibility: 'fans' }, url);
+        assert.equal(res.status, 200);
+        assert.equal(fake.state.posts[0].text_raw, '直连发送');
+        assert.equal(fake.state.posts[0].visible, '10');
+        const { weiboId } = res.body;
+
+        res = await api('POST', `/api/posts/${weiboId}/comments`, { content: '直连评论' }, url);
+        assert.equal(res.status, 200);
+        res = await api('DELETE', `/api/posts/${weiboId}`, undefined, url);
+        assert.equal(res.status, 200);
+
+        res = await api('GET', '/api/posts?kind=post&pageSize=1', undefined, url);
+        assert.equal(res.body.items[0].via, 'http');
+        const health = await (await fetch(`${url}/health`)).json();
+        assert.equal(health.browserStatus, 'stopped');
+        assert.equal(health.isLoggedIn, true);
+    } finally {
+        await stopServer(child);
+        await fs.remove(httpDataDir);
+    }
+
+    await api('POST', '/api/logout');
+});
+
+test('BROWSER_LIFECYCLE=warm 时启动即预热发布页并在多次发送间复用', { skip: !browserInstalled && '未安装 Chromium (npx playwright install chromium)' }, async () => {
+    await loginWithFakeScan();
+
+    const warmDataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'weibo-proxy-e2e-warm-'));
+    await fs.copy(dataDir, warmDataDir);
+    const { child, url } = await startServer(warmDataDir, { BROWSER_LIFECYCLE: 'warm' });
+    const warmPages = async () => (await api('GET', '/api/health', undefined, url)).body.browserLifecycle.warmPages;
+    try {
+        await waitFor(async () => (await warmPages()).includes('default'));
+
+        for (const content of ['预热发送一', '预热发送二']) {
+            const res = await api('POST', '/api/post', { content }, url);
+            assert.equal(res.status, 200);
+            assert.equal(fake.state.posts[0].text_raw, content);
+            assert.deepEqual(await warmPages(), ['default']);
+        }
+    } finally {
+        await stopServer(child);
+        await fs.remove(warmDataDir);
+    }
+
+    await api('POST', '/api/logout');
+});
+
+test('队列任务超时返回 504，等待中的任务可以取消', { skip: !browserInstalled && '未安装 Chromium (npx playwright install chromium)' }, async () => {
+    await loginWithFakeScan();
+    const { weiboId } = (await api('POST', '/api/post', { content: '队列测试' })).body;
+
+    const queueDataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'weibo-proxy-e2e-queue-'));
+    await fs.copy(dataDir, queueDataDir);
+    const { child, url } = await startServer(queueDataDir, { POST_MODE: 'http', QUEUE_TIMEOUT_SECONDS: '1' });
+    fake.state.apiDelay = 3000;
+    try {
+        const stuck = api('POST', `/api/posts/${weiboId}/comments`, { content: '卡住的评论' }, url);
+        const queue = await waitFor(async () => {
+            const res = await api('GET', '/api/queue', undefined, url);
+            return res.body.running && res.body;
+        });
+        assert.equal(queue.running.operation, 'commentWeibo');
+
+        const waiting = api('POST', `/api/posts/${weiboId}/comments`, { content: '排队的评论' }, url);
+        const { pending } = await waitFor(async () => {
+            const res = await api('GET', '/api/queue', undefined, url);
+            return res.body.pending.length > 0 && res.body;
+        });
+        assert.equal((await api('DELETE', `/api/queue/${pending[0].id}`, undefined, url)).status, 200);
+        assert.equal((await waiting).status, 409);
+
+        const res = await stuck;
+        assert.equal(res.status, 504);
+        assert.match(res.body.error, /超时/);
+        assert.equal((await api('DELETE', `/api/queue/${pending[0].id}`, undefined, url)).status, 404);
+
+        // 超时后请求被中止，等模拟服务的延迟过去，确认评论没有生效
+        await new Promise(resolve => setTimeout(resolve, 3000));
+        assert.ok(!fake.state.comments.some(comment => comment.text_raw === '卡住的评论'));
+    } finally {
+        fake.state.apiDelay = 0;
+        await stopServer(child);
+        await fs.remove(queueDataDir);
+    }
+
+    await api('POST', '/api/logout');
+});
+
+test('草稿经另一个 Token 批准后才发送，并记录编辑和审批历史', { skip: !browserInstalled && '未安装 Chromium (npx playwright install chromium)' }, async () => {
+    await loginWithFakeScan();
+
+    const createToken = async (name, scopes) => (await api('POST', '/api/tokens', { name, scopes })).body.token;
+    const as = async (token, method, pathname, body) => {
+        const response = await fetch(baseUrl + pathname, {
+            method,
+            headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+    const writer = await createToken('draft-writer', ['post']);
+    const reviewer = await createToken('draft-reviewer', ['post']);
+
+    let res = await as(writer, 'POST', '/api/drafts', { content: '待审核的微博', visibility: 'fans' });
+    assert.equal(res.status, 201);
+    const draftId = res.body.id;
+
+    res = await as(writer, 'POST', `/api/drafts/${draftId}/approve`, {});
+    assert.equal(res.status, 403);
+    res = await as(reviewer, 'POST', `/api/drafts/${draftId}/reject`, { comment: '补充说明' });
+    assert.equal(res.body.status, 'rejected');
+    res = await as(writer, 'PUT', `/api/drafts/${draftId}`, { content: '修改后的微博' });
+    assert.equal(res.body.status, 'pending');
+    assert.equal(fake.state.posts.some(post => post.text_raw === '修改后的微博'), false);
+
+    res = await as(reviewer, 'POST', `/api/drafts/${draftId}/approve`, { comment: '可以发' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'published');
+    assert.equal(fake.state.posts[0].text_raw, '修改后的微博');
+    assert.equal(fake.state.posts[0].visible, '10');
+    assert.deepEqual(res.body.history.map(entry => entry.action), ['created', 'rejected', 'edited', 'approved', 'published']);
+
+    res = await as(writer, 'PUT', `/api/drafts/${draftId}`, { content: '再次修改' });
+    assert.equal(res.status, 409);
+
+    await api('POST', '/api/logout');
+});
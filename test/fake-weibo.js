@@ -0,0 +1,194 @@
+// 模拟微博服务：只实现扫码登录、发送、评论、转发和删除微博用到的页面与接口，供端到端测试使用
+const express = require('express');
+
+const SESSION_COOKIE = 'SUB=fake-session';
+const FAKE_UID = '10001';
+// 1x1 透明 PNG
+const QR_IMAGE = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+function createFakeWeibo() {
+    const app = express();
+    const state = {
+        qrStatus: 'waiting', // waiting | scanned | confirmed | expired
+        posts: [],
+        comments: [],
+        // 删除后也不复用 ID
+        lastPostId: 0,
+        // 站内接口延迟响应的毫秒数，用于模拟卡住的操作
+        apiDelay: 0
+    };
+
+    const isLoggedIn = (req) => (req.headers.cookie || '').includes(SESSION_COOKIE);
+
+    app.use(express.urlencoded({ extended: false }));
+    app.use(express.json());
+    // 延迟期间客户端已断开的请求不再处理，模拟请求还没到达后端就被放弃
+    app.use('/ajax', (req, res, next) => {
+        if (!(state.apiDelay > 0)) return next();
+        let closed = false;
+        res.on('close', () => { closed = true; });
+        setTimeout(() => { if (!closed) next(); }, state.apiDelay);
+    });
+
+    // ---------- 首页 / 发布器 ----------
+    app.get('/', (req, res) => {
+        if (!isLoggedIn(req)) {
+            return res.send('<!DOCTYPE html><html><body><a href="/passport/sso/signin">登录</a></body></html>');
+        }
+        res.send(`<!DOCTYPE html>
+<html>
+<body>
+    <script>window.$CONFIG = { user: { idstr: '${FAKE_UID}' } };</script>
+    <textarea placeholder="有什么新鲜事想分享给大家？"></textarea>
+    <button id="send" disabled>发送</button>
+    <script>
+        const textarea = document.querySelector('textarea');
+        const button = document.getElementById('send');
+        textarea.addEventListener('input', () => { button.disabled = !textarea.value; });
+        button.addEventListener('click', async () => {
+            const body = new URLSearchParams({ content: textarea.value });
+            await fetch('/ajax/statuses/update', { method: 'POST', body });
+            textarea.value = '';
+            button.disabled = true;
+        });
+    </script>
+</body>
+</html>`);
+    });
+
+    app.post('/ajax/statuses/update', (req, res) => {
+        if (!isLoggedIn(req)) {
+            return res.json({ ok: -100, msg: '请先登录' });
+        }
+        const post = {
+            idstr: String(5000000000000000 + ++state.lastPostId),
+            text_raw: req.body.content,
+            visible: req.body.visible || '0',
+            created_at: new Date().toString()
+        };
+        state.posts.unshift(post);
+        res.json({ ok: 1, data: post });
+    });
+
+    app.post('/ajax/comments/create', (req, res) => {
+        if (!isLoggedIn(req)) {
+            return res.json({ ok: -100, msg: '请先登录' });
+        }
+        if (!state.posts.some(post => post.idstr === req.body.id)) {
+            return res.json({ ok: 0, msg: '微博不存在' });
+        }
+        const comment = {
+            idstr: String(6000000000000000 + state.comments.length + 1),
+            text_raw: req.body.comment,
+            target: req.body.id
+        };
+        state.comments.push(comment);
+        res.json({ ok: 1, data: comment });
+    });
+
+    app.post('/ajax/statuses/normal_repost', (req, res) => {
+        if (!isLoggedIn(req)) {
+            return res.json({ ok: -100, msg: '请先登录' });
+        }
+        if (!state.posts.some(post => post.idstr === req.body.id)) {
+            return res.json({ ok: 0, msg: '微博不存在' });
+        }
+        const post = {
+            idstr: String(5000000000000000 + ++state.lastPostId),
+            text_raw: req.body.comment,
+            retweeted: req.body.id,
+            created_at: new Date().toString()
+        };
+        state.posts.unshift(post);
+        res.json({ ok: 1, data: post });
+    });
+
+    app.post('/ajax/statuses/destroy', (req, res) => {
+        if (!isLoggedIn(req)) {
+            return res.json({ ok: -100, msg: '请先登录' });
+        }
+        const index = state.posts.findIndex(post => post.idstr === String(req.body.id));
+        if (index === -1) {
+            return res.json({ ok: 0, msg: '微博不存在' });
+        }
+        state.posts.splice(index, 1);
+        res.json({ ok: 1 });
+    });
+
+    app.get('/ajax/statuses/mymblog', (req, res) => {
+        if (!isLoggedIn(req)) {
+            return res.json({ ok: -100, msg: '请先登录' });
+        }
+        res.json({ ok: 1, data: { list: state.posts } });
+    });
+
+    // ---------- 扫码登录 ----------
+    app.get('/passport/sso/signin', (req, res) => {
+        state.qrStatus = 'waiting';
+        res.send(`<!DOCTYPE html>
+<html>
+<body>
+    <img src="/qr.weibo.cn/qrcode.png" alt="qrcode">
+    <p class="txt" id="status">请使用微博客户端扫码登录</p>
+    <script>
+        setInterval(async () => {
+            const { status } = await (await fetch('/passport/qrcode/check')).json();
+            const text = document.getElementById('status');
+            if (status === 'scanned') {
+                text.textContent = '扫描成功，请在手机上确认';
+            } else if (status === 'expired') {
+                text.textContent = '二维码已失效';
+            } else if (status === 'confirmed') {
+                location.href = '/';
+            }
+        }, 300);
+    </script>
+</body>
+</html>`);
+    });
+
+    app.get('/qr.weibo.cn/qrcode.png', (req, res) => {
+        res.type('png').send(QR_IMAGE);
+    });
+
+    app.get('/passport/qrcode/check', (req, res) => {
+        if (state.qrStatus === 'confirmed') {
+            res.set('Set-Cookie', `${SESSION_COOKIE}; Path=/; Max-Age=86400`);
+        }
+        res.json({ status: state.qrStatus });
+    });
+
+    // ---------- 测试控制接口 ----------
+    app.post('/__fake/scan', (req, res) => {
+        state.qrStatus = 'scanned';
+        res.json({ ok: true });
+    });
+
+    app.post('/__fake/confirm', (req, res) => {
+        state.qrStatus = 'confirmed';
+        res.json({ ok: true });
+    });
+
+    app.post('/__fake/expire', (req, res) => {
+        state.qrStatus = 'expired';
+        res.json({ ok: true });
+    });
+
+    return { app, state };
+}
+
+function startFakeWeibo(port = 0) {
+    const { app, state } = createFakeWeibo();
+    return new Promise((resolve) => {
+        const server = app.listen(port, '127.0.0.1', () => {
+            const url = `http://127.0.0.1:${server.address().port}`;
+            resolve({
+                url,
+                state,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = { createFakeWeibo, startFakeWeibo };
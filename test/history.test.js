@@ -0,0 +1,73 @@
+// 发送记录：按条件筛选、分页，以及从追加写入的日志中恢复
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const { loadServer } = require('./load-server');
+
+const { dataDir, PostHistory } = loadServer();
+
+function createHistory(name) {
+    const history = new PostHistory(path.join(dataDir, `${name}.jsonl`));
+    const minute = 60000;
+    const base = Date.parse('2026-01-01T00:00:00Z');
+    const records = [
+        { kind: 'post', accountId: 'default', status: 'succeeded', content: '早上好 Weibo', weiboId: '1', client: { name: 'bot' } },
+        { kind: 'comment', accountId: 'default', status: 'succeeded', content: '评论一下', commentId: 'c1', targetId: '1' },
+        { accountId: 'alt', status: 'failed', content: '发送失败的微博', error: '网络超时' },
+        { kind: 'repost', accountId: 'alt', status: 'succeeded', content: '转发', weiboId: '3', targetId: '1' },
+        { kind: 'post', accountId: 'default', status: 'succeeded', content: '晚上好', weiboId: '5' }
+    ];
+    records.forEach((record, index) => {
+        history.add({ ...record, startedAt: new Date(base + index * minute).toISOString() });
+    });
+    return history;
+}
+
+const contents = result => result.items.map(item => item.content);
+
+test('按账号、类型、状态、时间和关键字筛选，新的记录在前', () => {
+    const history = createHistory('filters');
+
+    assert.deepEqual(contents(history.query()), ['晚上好', '转发', '发送失败的微博', '评论一下', '早上好 Weibo']);
+    assert.deepEqual(contents(history.query({ accountId: 'alt' })), ['转发', '发送失败的微博']);
+    // 没有 kind 的旧记录视为发送微博
+    assert.deepEqual(contents(history.query({ kind: 'post' })), ['晚上好', '发送失败的微博', '早上好 Weibo']);
+    assert.deepEqual(contents(history.query({ status: 'failed' })), ['发送失败的微博']);
+    assert.deepEqual(contents(history.query({ from: '2026-01-01T00:01:00Z', to: '2026-01-01T00:03:00Z' })), ['转发', '发送失败的微博', '评论一下']);
+
+    // 关键字不区分大小写，同时匹配错误信息、微博 ID 和客户端名称
+    assert.deepEqual(contents(history.query({ q: 'weibo' })), ['早上好 Weibo']);
+    assert.deepEqual(contents(history.query({ q: '超时' })), ['发送失败的微博']);
+    assert.deepEqual(contents(history.query({ q: 'BOT' })), ['早上好 Weibo']);
+    assert.deepEqual(contents(history.query({ kind: 'comment', accountId: 'alt' })), []);
+});
+
+test('分页返回总数和当前页的记录', () => {
+    const history = createHistory('pages');
+
+    const first = history.query({ page: 1, pageSize: 2 });
+    assert.equal(first.total, 5);
+    assert.deepEqual(contents(first), ['晚上好', '转发']);
+    assert.deepEqual(contents(history.query({ page: 3, pageSize: 2 })), ['早上好 Weibo']);
+    assert.deepEqual(history.query({ page: 4, pageSize: 2 }).items, []);
+    assert.equal(history.query({ status: 'succeeded', pageSize: 1 }).total, 4);
+});
+
+test('重新加载时合并同一条记录的后续更新，忽略损坏的行', async () => {
+    const history = createHistory('reload');
+    const [record] = history.query({ q: '晚上好' }).items;
+    history.update(record.id, { deletedAt: '2026-01-02T00:00:00Z' });
+    await history.writing;
+    await fs.appendFile(history.file, '{"id": "half');
+
+    const reloaded = new PostHistory(history.file);
+    reloaded.load();
+    assert.equal(reloaded.records.size, 5);
+    assert.equal(reloaded.records.get(record.id).deletedAt, '2026-01-02T00:00:00Z');
+    assert.equal(reloaded.records.get(record.id).content, '晚上好');
+
+    // 已删除的微博不再出现在批量删除的范围内
+    const published = reloaded.listPublished({ from: '2026-01-01T00:00:00Z', to: '2026-01-01T01:00:00Z' });
+    assert.deepEqual(published.map(item => item.weiboId), ['1', '3']);
+});
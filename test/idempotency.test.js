@@ -0,0 +1,110 @@
+// 幂等键：重放已保存的结果、拒绝内容不同的请求、等待处理中的相同请求、失败后先确认再发送
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { loadServer, listen } = require('./load-server');
+
+const { handleIdempotencyKey } = loadServer();
+
+// 路由中的发送操作由各个测试替换，记录每次调用时是否需要先确认上一次是否已发出
+let operation = null;
+const calls = [];
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    req.token = { id: req.get('X-Token-Id') || 'token-a' };
+    req.account = { id: 'default' };
+    next();
+});
+app.post('/post', handleIdempotencyKey, async (req, res) => {
+    calls.push({ content: req.body.content, checkDuplicate: req.idempotencyRetry });
+    const { status, body } = await operation(req);
+    res.status(status).json(body);
+});
+const baseUrl = listen(app);
+
+async function post(key, content, headers = {}) {
+    const response = await fetch(`${await baseUrl}/post`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key, ...headers },
+        body: JSON.stringify({ content })
+    });
+    return { status: response.status, replayed: response.headers.get('Idempotent-Replayed'), body: await response.json() };
+}
+
+function reset(next) {
+    operation = next;
+    calls.length = 0;
+}
+
+test('相同的键和内容重放已保存的结果，不再执行发送', async () => {
+    reset(async () => ({ status: 200, body: { success: true, weiboId: '1001' } }));
+
+    const first = await post('replay', '你好');
+    assert.equal(first.status, 200);
+    assert.equal(first.replayed, null);
+
+    const second = await post('replay', '你好');
+    assert.equal(second.status, 200);
+    assert.equal(second.replayed, 'true');
+    assert.deepEqual(second.body, first.body);
+    assert.equal(calls.length, 1);
+
+    // 不同 Token 使用相同的键互不影响
+    const other = await post('replay', '你好', { 'X-Token-Id': 'token-b' });
+    assert.equal(other.replayed, null);
+    assert.equal(calls.length, 2);
+});
+
+test('相同的键用于内容不同的请求时返回 422', async () => {
+    reset(async () => ({ status: 200, body: { success: true, weiboId: '1002' } }));
+
+    assert.equal((await post('mismatch', '第一条')).status, 200);
+    const res = await post('mismatch', '第二条');
+    assert.equal(res.status, 422);
+    assert.match(res.body.error, /内容不同/);
+    assert.equal(calls.length, 1);
+});
+
+test('相同的键仍在处理中时等待其完成，再返回它的结果', async () => {
+    let release;
+    const blocked = new Promise(resolve => { release = resolve; });
+    reset(async () => {
+        await blocked;
+        return { status: 200, body: { success: true, weiboId: '1003' } };
+    });
+
+    const first = post('inflight', '排队中');
+    // 等第一个请求进入处理，再发送重试
+    while (calls.length === 0) await new Promise(resolve => setImmediate(resolve));
+    const second = post('inflight', '排队中');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(calls.length, 1);
+
+    release();
+    const [a, b] = await Promise.all([first, second]);
+    assert.equal(a.status, 200);
+    assert.equal(b.status, 200);
+    assert.equal(b.replayed, 'true');
+    assert.deepEqual(b.body, a.body);
+    assert.equal(calls.length, 1);
+});
+
+test('上一次失败后重试时先确认是否已经发出，客户端错误不记录', async () => {
+    reset(async () => ({ status: 504, body: { error: '操作超时，结果未知' } }));
+    assert.equal((await post('failed', '结果未知')).status, 504);
+    assert.equal(calls[0].checkDuplicate, false);
+
+    operation = async () => ({ status: 200, body: { success: true, weiboId: '1004', deduplicated: true } });
+    const retry = await post('failed', '结果未知');
+    assert.equal(retry.status, 200);
+    assert.equal(calls[1].checkDuplicate, true);
+    assert.equal((await post('failed', '结果未知')).replayed, 'true');
+
+    reset(async () => ({ status: 400, body: { error: '内容不能为空' } }));
+    await post('rejected', '');
+    operation = async () => ({ status: 200, body: { success: true, weiboId: '1005' } });
+    assert.equal((await post('rejected', '')).status, 200);
+    assert.deepEqual(calls.map(call => call.checkDuplicate), [false, false]);
+});
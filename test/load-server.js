@@ -0,0 +1,32 @@
+// 在临时数据目录中加载 server.js，单元测试直接调用它导出的函数和类，不启动服务
+const { after } = require('node:test');
+const { once } = require('events');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// server.js 在加载时读取环境变量，每个测试文件在独立进程中运行，只加载一次
+function loadServer(env = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'weibo-proxy-unit-'));
+    Object.assign(process.env, {
+        DATA_DIR: dataDir,
+        AUTH_TOKEN: 'unit-test-token',
+        LOG_LEVEL: 'error'
+    }, env);
+    // 存储在后台异步写入，删除时可能有文件刚刚写入，出错时重试
+    after(() => fs.promises.rm(dataDir, { recursive: true, force: true, maxRetries: 5 }));
+    return { dataDir, ...require('../server') };
+}
+
+// 在本机随机端口监听 express 应用或 http.Server，测试结束后关闭，返回基础地址
+async function listen(server) {
+    const instance = server.listen(0, '127.0.0.1');
+    await once(instance, 'listening');
+    after(() => {
+        instance.closeAllConnections();
+        instance.close();
+    });
+    return `http://127.0.0.1:${instance.address().port}`;
+}
+
+module.exports = { loadServer, listen };
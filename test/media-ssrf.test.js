@@ -0,0 +1,48 @@
+// 下载媒体时拒绝内网地址，包括各种 IP 字面量写法
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./load-server');
+
+const { isBlockedAddress, downloadMedia, MediaError } = loadServer();
+
+test('回环、私有、链路本地和保留地址被拦截，公网地址放行', () => {
+    for (const address of [
+        '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+        '100.64.0.1', '0.0.0.0', '224.0.0.1', '::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'ff02::1'
+    ]) {
+        assert.equal(isBlockedAddress(address), true, address);
+    }
+    for (const address of ['8.8.8.8', '172.32.0.1', '203.0.113.10', '2606:4700:4700::1111']) {
+        assert.equal(isBlockedAddress(address), false, address);
+    }
+});
+
+test('IPv4 映射的 IPv6 地址按其中的 IPv4 地址判断', () => {
+    assert.equal(isBlockedAddress('::ffff:127.0.0.1'), true);
+    assert.equal(isBlockedAddress('::ffff:7f00:1'), true);
+    assert.equal(isBlockedAddress('::ffff:a9fe:a9fe'), true);
+    assert.equal(isBlockedAddress('::ffff:c0a8:101'), true);
+    assert.equal(isBlockedAddress('::ffff:808:808'), false);
+});
+
+test('十进制、十六进制、八进制和简写的 IP 字面量在连接前被拒绝', async () => {
+    for (const url of [
+        'http://2130706433/a.png',
+        'http://0x7f000001/a.png',
+        'http://0177.0.0.1/a.png',
+        'http://127.1/a.png',
+        'http://[::ffff:127.0.0.1]/a.png',
+        'http://[::1]/a.png',
+        'http://169.254.169.254/latest/meta-data'
+    ]) {
+        await assert.rejects(downloadMedia(url, 'image'), error => {
+            assert.ok(error instanceof MediaError, url);
+            assert.match(error.message, /不允许从内网地址下载媒体/);
+            return true;
+        });
+    }
+});
+
+test('解析到回环地址的主机名在建立连接前被拒绝', async () => {
+    await assert.rejects(downloadMedia('http://localhost:1/a.png', 'image'), /不允许从内网地址下载媒体: localhost/);
+});
@@ -0,0 +1,69 @@
+// 媒体大小上限：multipart 上传按字段限制，下载时边读边计数
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const fs = require('fs-extra');
+const express = require('express');
+const { loadServer, listen } = require('./load-server');
+
+// 测试服务在本机，需要允许内网地址
+const { dataDir, downloadMedia, parseMediaUpload } = loadServer({ MEDIA_ALLOW_PRIVATE_URLS: 'true' });
+const uploadDir = path.join(dataDir, 'uploads');
+const MB = 1024 * 1024;
+
+// 不声明 Content-Length，按 1MB 一块持续输出，直到客户端断开或写满 size
+function mediaServer() {
+    return http.createServer((req, res) => {
+        const [, type, size, declare] = req.url.split('/');
+        const total = Number(size) * MB;
+        res.writeHead(200, {
+            'Content-Type': type === 'video' ? 'video/mp4' : 'image/png',
+            ...(declare === 'declare' ? { 'Content-Length': total } : {})
+        });
+        let sent = 0;
+        const write = () => {
+            while (sent < total && !res.destroyed) {
+                sent += MB;
+                if (!res.write(Buffer.alloc(MB))) return res.once('drain', write);
+            }
+            res.end();
+        };
+        write();
+    });
+}
+
+test('下载超过上限的媒体时中途中止，不留下文件', async () => {
+    const base = await listen(mediaServer());
+
+    await assert.rejects(downloadMedia(`${base}/image/64`, 'image'), /媒体文件过大 \(上限 20MB\)/);
+    await assert.rejects(downloadMedia(`${base}/image/64/declare`, 'image'), /媒体文件过大/);
+    assert.deepEqual(await fs.readdir(uploadDir), []);
+
+    const filePath = await downloadMedia(`${base}/image/1`, 'image');
+    assert.equal((await fs.stat(filePath)).size, MB);
+    await fs.remove(filePath);
+});
+
+test('multipart 上传按字段限制大小，图片超过 20MB 即拒绝', async () => {
+    const app = express();
+    app.post('/upload', parseMediaUpload, (req, res) => {
+        res.json(Object.values(req.files).flat().map(file => ({ field: file.fieldname, size: file.size })));
+    });
+    const base = await listen(app);
+    const upload = (field, type, size) => {
+        const form = new FormData();
+        form.append(field, new Blob([Buffer.alloc(size)], { type }), `${field}.bin`);
+        return fetch(`${base}/upload`, { method: 'POST', body: form });
+    };
+
+    let res = await upload('images', 'image/png', 21 * MB);
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /图片过大: images\.bin \(上限 20MB\)/);
+    assert.deepEqual(await fs.readdir(uploadDir), []);
+
+    res = await upload('video', 'video/mp4', 21 * MB);
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), [{ field: 'video', size: 21 * MB }]);
+    await fs.emptyDir(uploadDir);
+});
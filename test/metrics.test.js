@@ -0,0 +1,69 @@
+// Prometheus 指标：鉴权、注册的指标和标签
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, listen } = require('./load-server');
+
+const ADMIN_TOKEN = 'unit-test-token';
+const { app, requestQueue, QueueTaskError } = loadServer({ AUTH_TOKEN: ADMIN_TOKEN });
+const baseUrl = listen(app);
+
+async function scrape(token = ADMIN_TOKEN) {
+    const response = await fetch(`${await baseUrl}/metrics`, {
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+    });
+    return { status: response.status, type: response.headers.get('content-type'), text: await response.text() };
+}
+
+test('/metrics 需要 metrics 权限，输出所有注册的指标和默认进程指标', async () => {
+    assert.equal((await scrape(null)).status, 401);
+
+    const { status, type, text } = await scrape();
+    assert.equal(status, 200);
+    assert.match(type, /^text\/plain/);
+    for (const name of [
+        'weibo_proxy_queue_length', 'weibo_proxy_queue_wait_seconds', 'weibo_proxy_operation_duration_seconds',
+        'weibo_proxy_queue_timeouts_total', 'weibo_proxy_queue_cancellations_total', 'weibo_proxy_retries_total',
+        'weibo_proxy_direct_requests_total', 'weibo_proxy_browser_launches_total', 'weibo_proxy_browser_idle_shutdowns_total',
+        'weibo_proxy_browser_warm_pages', 'weibo_proxy_browser_running', 'weibo_proxy_browser_contexts',
+        'weibo_proxy_account_logged_in', 'weibo_proxy_manual_gc_runs_total', 'weibo_proxy_manual_gc_freed_bytes_total',
+        'process_resident_memory_bytes', 'nodejs_heap_size_used_bytes'
+    ]) {
+        assert.match(text, new RegExp(`^# TYPE ${name} `, 'm'), name);
+    }
+    assert.match(text, /^weibo_proxy_account_logged_in\{account="default"\} 0$/m);
+    assert.match(text, /^weibo_proxy_browser_running 0$/m);
+});
+
+test('队列任务按操作和结果记录执行时间、超时和取消次数', async () => {
+    await requestQueue.enqueue(async () => 'ok', 'postWeibo', { signal: null });
+    await assert.rejects(requestQueue.enqueue(async () => { throw new Error('发送失败'); }, 'commentWeibo', { signal: null }));
+    await assert.rejects(
+        requestQueue.enqueue(signal => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason));
+        }), 'repostWeibo', { signal: null, timeout: 50 }),
+        QueueTaskError
+    );
+
+    // 排在阻塞任务后面的任务，分别手动取消和因客户端断开取消
+    let release;
+    const blocked = new Promise(resolve => { release = resolve; });
+    const blocker = requestQueue.enqueue(() => blocked, 'blocker', { signal: null });
+    const manual = requestQueue.enqueue(async () => {}, 'deleteWeibo', { signal: null });
+    const client = new AbortController();
+    const disconnected = requestQueue.enqueue(async () => {}, 'postWeibo', { signal: client.signal });
+    requestQueue.cancel(requestQueue.queue.find(task => task.operationName === 'deleteWeibo').id);
+    client.abort();
+    await assert.rejects(manual, /任务已被取消/);
+    await assert.rejects(disconnected);
+    release();
+    await blocker;
+
+    const { text } = await scrape();
+    assert.match(text, /^weibo_proxy_operation_duration_seconds_count\{operation="postWeibo",outcome="success"\} 1$/m);
+    assert.match(text, /^weibo_proxy_operation_duration_seconds_count\{operation="commentWeibo",outcome="failure"\} 1$/m);
+    assert.match(text, /^weibo_proxy_operation_duration_seconds_count\{operation="repostWeibo",outcome="timeout"\} 1$/m);
+    assert.match(text, /^weibo_proxy_queue_timeouts_total\{operation="repostWeibo"\} 1$/m);
+    assert.match(text, /^weibo_proxy_queue_wait_seconds_count\{operation="postWeibo"\} 1$/m);
+    assert.match(text, /^weibo_proxy_queue_cancellations_total\{operation="deleteWeibo",reason="manual"\} 1$/m);
+    assert.match(text, /^weibo_proxy_queue_cancellations_total\{operation="postWeibo",reason="disconnect"\} 1$/m);
+});
@@ -0,0 +1,94 @@
+// 请求队列：优先级、取消和超时
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./load-server');
+
+const { RequestQueue, QueueTaskError } = loadServer();
+
+// 返回一个在 release() 之前一直挂起的操作，用来占住队列
+function blocker() {
+    let release;
+    const done = new Promise(resolve => { release = resolve; });
+    return { operation: () => done, release };
+}
+
+test('队列按优先级执行，同一优先级先进先出', async () => {
+    const queue = new RequestQueue();
+    const order = [];
+    const first = blocker();
+    const running = queue.enqueue(first.operation, 'blocker');
+
+    const tasks = [
+        queue.enqueue(async () => order.push('low'), 'feedPost'),
+        queue.enqueue(async () => order.push('normal-1'), 'postWeibo'),
+        queue.enqueue(async () => order.push('high'), 'checkLoginStatus'),
+        queue.enqueue(async () => order.push('normal-2'), 'commentWeibo')
+    ];
+    assert.deepEqual(queue.list().pending.map(task => task.priority), ['high', 'normal', 'normal', 'low']);
+
+    first.release();
+    await Promise.all([running, ...tasks]);
+    assert.deepEqual(order, ['high', 'normal-1', 'normal-2', 'low']);
+});
+
+test('只能取消尚未开始的任务', async () => {
+    const queue = new RequestQueue();
+    const first = blocker();
+    const running = queue.enqueue(first.operation, 'blocker');
+    let ran = false;
+    const waiting = queue.enqueue(async () => { ran = true; }, 'postWeibo');
+
+    const [pending] = queue.list().pending;
+    assert.equal(queue.cancel(queue.list().running.id), false);
+    assert.equal(queue.cancel(pending.id), true);
+    assert.equal(queue.cancel(pending.id), false);
+    await assert.rejects(waiting, error => error instanceof QueueTaskError && error.status === 409);
+
+    first.release();
+    await running;
+    assert.equal(ran, false);
+});
+
+test('客户端断开时取消排队中的任务', async () => {
+    const queue = new RequestQueue();
+    const first = blocker();
+    const running = queue.enqueue(first.operation, 'blocker');
+    const controller = new AbortController();
+    const waiting = queue.enqueue(async () => {}, 'postWeibo', { signal: controller.signal });
+
+    controller.abort();
+    await assert.rejects(waiting, error => error.status === 499);
+    assert.equal(queue.list().pending.length, 0);
+    first.release();
+    await running;
+});
+
+test('任务超时返回 504，中止操作并等它退出后才执行下一个任务', async () => {
+    const queue = new RequestQueue();
+    const events = [];
+    const stuck = queue.enqueue((signal) => new Promise((resolve) => {
+        signal.addEventListener('abort', () => {
+            events.push('aborted');
+            setTimeout(() => {
+                events.push('exited');
+                resolve();
+            }, 50);
+        });
+    }), 'commentWeibo', { timeout: 50 });
+    const next = queue.enqueue(async () => events.push('next'), 'postWeibo');
+
+    await assert.rejects(stuck, error => error instanceof QueueTaskError && error.status === 504 && /结果未知/.test(error.message));
+    await next;
+    assert.deepEqual(events, ['aborted', 'exited', 'next']);
+});
+
+test('超时的操作不理会中止信号时，等待有上限，之后继续执行下一个任务', async () => {
+    const queue = new RequestQueue({ timeoutGrace: 100 });
+    const hung = blocker();
+    const stuck = queue.enqueue(hung.operation, 'commentWeibo', { timeout: 50 });
+    const next = queue.enqueue(async () => 'next', 'postWeibo');
+
+    await assert.rejects(stuck, error => error.status === 504);
+    assert.equal(await next, 'next');
+    hung.release();
+});
@@ -0,0 +1,52 @@
+// 发送频率限制：间隔、每小时上限、已受理请求的占位和 Token 配额
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./load-server');
+
+const { PostRateLimiter, RateLimitError } = loadServer();
+
+const POLICY = { minInterval: 0, hourly: 0, daily: 0, tokenHourly: 0, tokenDaily: 0, jitter: 0, maxDefer: 600000 };
+
+test('频率限制：发送间隔和每小时上限', async () => {
+    const limiter = new PostRateLimiter({ ...POLICY, minInterval: 60000, hourly: 2 });
+    assert.deepEqual(limiter.check('a'), { wait: 0, reason: null });
+
+    limiter.record('a');
+    const { wait, reason } = limiter.check('a');
+    assert.ok(wait > 59000 && wait <= 60000);
+    assert.match(reason, /间隔 60 秒/);
+    assert.ok(limiter.publishDelay('a') > 59000);
+    assert.equal(limiter.check('b').wait, 0);
+    assert.equal(limiter.publishDelay('b'), 0);
+
+    await assert.rejects(limiter.acquire('a'), error => error instanceof RateLimitError && error.retryAfter === 60);
+    assert.throws(() => limiter.admit('a'), RateLimitError);
+    assert.ok(Date.parse(limiter.admit('a', null, { defer: true })) > Date.now() + 59000);
+
+    const hourly = new PostRateLimiter({ ...POLICY, hourly: 2 });
+    hourly.record('a');
+    assert.equal(hourly.check('a').wait, 0);
+    hourly.record('a');
+    assert.ok(hourly.check('a').wait > 59 * 60 * 1000);
+    assert.match(hourly.check('a').reason, /每小时最多发送 2 条/);
+});
+
+test('频率限制：已受理的请求计入，释放后不再计入', async () => {
+    const limiter = new PostRateLimiter({ ...POLICY, minInterval: 60000 });
+    const release = await limiter.acquire('a');
+    await assert.rejects(limiter.acquire('a'), RateLimitError);
+    assert.equal(limiter.check('b').wait, 0);
+    release();
+    assert.equal(limiter.check('a').wait, 0);
+});
+
+test('频率限制：Token 配额跨账号计数', () => {
+    const limiter = new PostRateLimiter({ ...POLICY, tokenDaily: 5 });
+    const token = { id: 't1', name: 'bot', quota: { hourly: 1 } };
+    limiter.record('a', 't1');
+    const { wait, reason } = limiter.check('b', token);
+    assert.ok(wait > 0);
+    assert.match(reason, /Token bot 每小时最多发送 1 条/);
+    assert.equal(limiter.check('b', { id: 't2', name: 'other' }).wait, 0);
+    assert.equal(limiter.check('b').wait, 0);
+});
@@ -0,0 +1,74 @@
+// 请求 ID：写入响应头和错误响应，经请求队列传递到操作中的日志
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, listen } = require('./load-server');
+
+const ADMIN_TOKEN = 'unit-test-token';
+const { app, requestQueue, requestContext, logWithFlush } = loadServer({ AUTH_TOKEN: ADMIN_TOKEN, LOG_FORMAT: 'json', LOG_LEVEL: 'info' });
+const baseUrl = listen(app);
+
+// 截获 action 执行期间写到标准输出的 JSON 日志，其余输出照常写出
+async function captureLogs(action) {
+    const entries = [];
+    const write = process.stdout.write;
+    process.stdout.write = function (chunk, ...rest) {
+        const text = String(chunk);
+        if (text.startsWith('{"time"')) {
+            entries.push(JSON.parse(text));
+            return true;
+        }
+        return write.call(this, chunk, ...rest);
+    };
+    try {
+        await action();
+    } finally {
+        process.stdout.write = write;
+    }
+    return entries;
+}
+
+function get(pathname, headers = {}) {
+    return baseUrl.then(base => fetch(base + pathname, {
+        headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}`, ...headers }
+    }));
+}
+
+test('沿用调用方的 X-Request-Id，写入响应头和该请求的日志', async () => {
+    let response;
+    const entries = await captureLogs(async () => {
+        response = await get('/api/queue', { 'X-Request-Id': 'client-req.1' });
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('X-Request-Id'), 'client-req.1');
+
+    const entry = entries.find(item => item.tag === '请求');
+    assert.ok(entry);
+    assert.equal(entry.requestId, 'client-req.1');
+    assert.equal(entry.level, 'info');
+    assert.match(entry.msg, /GET \/queue/);
+});
+
+test('没有或不合法的 X-Request-Id 时生成新的 ID，错误响应体中也带上', async () => {
+    const response = await get('/api/jobs/not-a-job', { 'X-Request-Id': 'bad id with spaces' });
+    const requestId = response.headers.get('X-Request-Id');
+    assert.match(requestId, /^[0-9a-f-]{36}$/);
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).requestId, requestId);
+
+    const other = await get('/api/queue');
+    assert.notEqual(other.headers.get('X-Request-Id'), requestId);
+});
+
+test('队列中执行的操作沿用提交它的请求 ID，日志带上操作名', async () => {
+    const entries = await captureLogs(() => requestContext.run({ requestId: 'queued-req' }, () =>
+        requestQueue.enqueue(async () => {
+            // 操作在队列中异步执行，不在提交时的调用栈上
+            await new Promise(resolve => setImmediate(resolve));
+            logWithFlush('[测试] 操作中的日志');
+        }, 'postWeibo', { signal: null })
+    ));
+
+    const entry = entries.find(item => item.tag === '测试');
+    assert.equal(entry.requestId, 'queued-req');
+    assert.equal(entry.operation, 'postWeibo');
+});
@@ -0,0 +1,82 @@
+// 会话加密：AES-256-GCM 往返、明文迁移、导出导入，以及解密失败与会话过期的区分
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const { loadServer } = require('./load-server');
+
+const {
+    dataDir, SessionCryptoError, sealSession, openSession, readSessionFile, writeSessionFile,
+    migrateSessionFileSync, exportSessionBlob, importSessionBlob, loadSession
+} = loadServer({ SESSION_ENCRYPTION_KEY: 'unit-test-session-key' });
+
+const storageState = {
+    cookies: [{ name: 'SUB', value: 'secret-cookie-value', domain: '.weibo.com', path: '/', expires: -1 }],
+    origins: []
+};
+
+test('会话文件以 AES-256-GCM 加密保存，读回后与原内容一致', async () => {
+    const file = path.join(dataDir, 'round-trip.json');
+    await writeSessionFile(file, storageState);
+
+    const raw = await fs.readFile(file, 'utf8');
+    assert.ok(!raw.includes('secret-cookie-value'));
+    const envelope = JSON.parse(raw);
+    assert.equal(envelope.format, 'weibo-proxy-session');
+    assert.equal(envelope.cipher, 'aes-256-gcm');
+    assert.equal(Buffer.from(envelope.iv, 'base64').length, 12);
+
+    assert.deepEqual(await readSessionFile(file), storageState);
+
+    // 每次加密使用新的 IV
+    await writeSessionFile(file, storageState);
+    assert.notEqual((await fs.readJson(file)).iv, envelope.iv);
+});
+
+test('密钥不对或数据被篡改时抛出 SessionCryptoError', () => {
+    const key = crypto.randomBytes(32);
+    const envelope = sealSession(storageState, key);
+    assert.deepEqual(openSession(envelope, key), storageState);
+
+    assert.throws(() => openSession(envelope, crypto.randomBytes(32)), SessionCryptoError);
+    const data = Buffer.from(envelope.data, 'base64');
+    data[0] ^= 1;
+    assert.throws(() => openSession({ ...envelope, data: data.toString('base64') }, key), /会话解密失败/);
+    assert.throws(() => openSession({ ...envelope, version: 2 }, key), /不支持的会话加密格式/);
+});
+
+test('启动时把明文会话文件就地改写为密文', async () => {
+    const file = path.join(dataDir, 'plaintext.json');
+    await fs.writeJson(file, storageState);
+
+    assert.deepEqual(migrateSessionFileSync(file), storageState);
+    const envelope = await fs.readJson(file);
+    assert.equal(envelope.format, 'weibo-proxy-session');
+    assert.deepEqual(await readSessionFile(file), storageState);
+    assert.equal(await fs.pathExists(`${file}.tmp`), false);
+
+    // 已经是密文时保持不变
+    migrateSessionFileSync(file);
+    assert.deepEqual(await fs.readJson(file), envelope);
+});
+
+test('导出的会话用口令单独加密，口令错误时无法导入', async () => {
+    const blob = await exportSessionBlob(storageState, 'a-long-passphrase');
+    assert.deepEqual(await importSessionBlob(blob, 'a-long-passphrase'), storageState);
+    await assert.rejects(importSessionBlob(blob, 'wrong-passphrase'), SessionCryptoError);
+    await assert.rejects(importSessionBlob('not-base64-json', 'a-long-passphrase'), /会话数据格式无效/);
+});
+
+test('会话文件无法解密时记录原因，不当作没有会话', async () => {
+    const file = path.join(dataDir, 'other-key.json');
+    await fs.writeJson(file, sealSession(storageState, crypto.randomBytes(32)));
+    const account = { id: 'other-key', sessionFile: file, session: { decryptError: null } };
+
+    assert.equal(await loadSession(account), null);
+    assert.match(account.session.decryptError, /会话解密失败/);
+
+    await writeSessionFile(file, storageState);
+    assert.deepEqual(await loadSession(account), storageState);
+    assert.equal(account.session.decryptError, null);
+});
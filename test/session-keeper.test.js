@@ -0,0 +1,72 @@
+// 会话保活：检查结束后恢复浏览器的空闲状态
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { loadServer } = require('./load-server');
+
+const { browserManager, requestQueue, sessionKeeper } = loadServer();
+
+const account = { id: 'default', session: {} };
+const idleSince = Date.now() - 60000;
+
+function fakeBrowser() {
+    return { closed: false, async close() { this.closed = true; } };
+}
+
+// 保活检查不打开真实页面，只模拟它对浏览器的影响：需要时启动浏览器，并刷新活动时间
+function stubCheck(during = () => {}) {
+    sessionKeeper.check = async () => {
+        if (!browserManager.browser) browserManager.browser = fakeBrowser();
+        browserManager.updateActivity();
+        during();
+    };
+}
+
+beforeEach(() => {
+    browserManager.browser = null;
+    browserManager.lastActivity = idleSince;
+});
+
+test('检查前浏览器未运行时，检查后关闭浏览器并恢复活动时间', async () => {
+    stubCheck();
+    await sessionKeeper.refresh(account);
+
+    assert.equal(browserManager.browser, null);
+    assert.equal(browserManager.lastActivity, idleSince);
+});
+
+test('检查前浏览器已在运行时保持运行，只恢复活动时间，不推迟空闲关闭', async () => {
+    const browser = fakeBrowser();
+    browserManager.browser = browser;
+    stubCheck();
+    await sessionKeeper.refresh(account);
+
+    assert.equal(browserManager.browser, browser);
+    assert.equal(browser.closed, false);
+    assert.equal(browserManager.lastActivity, idleSince);
+});
+
+test('检查之后有其他任务使用浏览器时，保留它们的活动时间，也不关闭浏览器', async () => {
+    let other;
+    stubCheck(() => {
+        // 活动时间按毫秒比较，与检查错开
+        other = requestQueue.enqueue(async () => {
+            await sleep(5);
+            browserManager.updateActivity();
+        }, 'postWeibo', { signal: null });
+    });
+    await sessionKeeper.refresh(account);
+    await other;
+
+    assert.notEqual(browserManager.browser, null);
+    assert.equal(browserManager.browser.closed, false);
+    assert.ok(browserManager.lastActivity > idleSince);
+});
+
+test('检查失败时记录错误，不恢复浏览器状态', async () => {
+    sessionKeeper.check = async () => {
+        throw new Error('检查登录状态失败');
+    };
+    await assert.rejects(sessionKeeper.refresh(account), /检查登录状态失败/);
+    assert.equal(account.session.error, '检查登录状态失败');
+});
@@ -0,0 +1,27 @@
+// 浏览器预热时段的解析和判断
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./load-server');
+
+const { parseWarmWindows, inWarmWindow } = loadServer();
+
+test('解析预热时段，支持星期和跨午夜', () => {
+    assert.deepEqual(parseWarmWindows(''), []);
+    const windows = parseWarmWindows('1-5 08:00-10:00; 6 22:00-02:00');
+    assert.equal(windows.length, 2);
+    assert.deepEqual([...windows[0].days], [1, 2, 3, 4, 5]);
+
+    // 2026-10-19 是星期一，2026-10-24 是星期六
+    assert.equal(inWarmWindow(windows, new Date(2026, 9, 19, 9, 30)), true);
+    assert.equal(inWarmWindow(windows, new Date(2026, 9, 19, 10, 0)), false);
+    assert.equal(inWarmWindow(windows, new Date(2026, 9, 24, 9, 30)), false);
+    assert.equal(inWarmWindow(windows, new Date(2026, 9, 24, 23, 0)), true);
+    // 星期六开始的时段延续到星期日凌晨，星期一凌晨不在时段内
+    assert.equal(inWarmWindow(windows, new Date(2026, 9, 25, 1, 0)), true);
+    assert.equal(inWarmWindow(windows, new Date(2026, 9, 26, 1, 0)), false);
+
+    assert.equal(inWarmWindow(parseWarmWindows('00:00-24:00'), new Date(2026, 9, 20, 23, 59)), true);
+    for (const spec of ['abc', '10:00-10:00', '25:00-26:00', '5-3 08:00-09:00']) {
+        assert.throws(() => parseWarmWindows(spec), /预热时段/);
+    }
+});
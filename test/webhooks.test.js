@@ -0,0 +1,118 @@
+// Webhook：HMAC 签名、失败后指数退避重试和投递日志
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
+const { loadServer, listen } = require('./load-server');
+
+const { dataDir, WebhookManager } = loadServer({ WEBHOOK_MAX_ATTEMPTS: '3' });
+
+// 本地接收方：按 statuses 依次返回状态码，用完后返回 200
+function receiver(statuses = []) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body, at: Date.now() });
+            res.writeHead(statuses.shift() || 200).end();
+        });
+    });
+    return { requests, url: listen(server) };
+}
+
+function createManager(name) {
+    return new WebhookManager(
+        path.join(dataDir, `${name}.json`),
+        path.join(dataDir, `${name}-deliveries.jsonl`),
+        { retryBaseDelay: 50 }
+    );
+}
+
+// 投递在后台进行，等到日志中出现最终结果
+async function waitForLog(manager, done) {
+    for (let i = 0; i < 100; i++) {
+        await manager.logging;
+        const entries = await manager.readLog();
+        if (done(entries)) return entries.reverse();
+        await sleep(20);
+    }
+    throw new Error('等待投递结果超时');
+}
+
+test('请求带有按时间戳和请求体计算的 HMAC 签名', async () => {
+    const target = receiver();
+    const manager = createManager('signed');
+    const hook = await manager.add({ url: `${await target.url}/hook`, events: ['post.succeeded'], secret: 'a-secret-of-at-least-16' });
+
+    manager.emit('post.succeeded', { weiboId: '5001' });
+    manager.emit('post.failed', { error: '未订阅的事件' });
+    await waitForLog(manager, entries => entries.length > 0);
+
+    assert.equal(target.requests.length, 1);
+    const [{ headers, body }] = target.requests;
+    const expected = 'sha256=' + crypto.createHmac('sha256', hook.secret)
+        .update(`${headers['x-webhook-timestamp']}.${body}`)
+        .digest('hex');
+    assert.equal(headers['x-webhook-signature'], expected);
+    assert.equal(headers['x-webhook-event'], 'post.succeeded');
+    assert.ok(Math.abs(Number(headers['x-webhook-timestamp']) - Date.now() / 1000) < 5);
+
+    const event = JSON.parse(body);
+    assert.equal(event.type, 'post.succeeded');
+    assert.deepEqual(event.data, { weiboId: '5001' });
+});
+
+test('环境变量中的地址未设置 WEBHOOK_SECRET 时不带签名', async () => {
+    const target = receiver();
+    process.env.WEBHOOK_URLS = `${await target.url}/env-hook`;
+    try {
+        const manager = createManager('unsigned');
+        manager.emit('login.required', { accountId: 'default' });
+        await waitForLog(manager, entries => entries.length > 0);
+    } finally {
+        delete process.env.WEBHOOK_URLS;
+    }
+
+    assert.equal(target.requests.length, 1);
+    assert.equal(target.requests[0].headers['x-webhook-signature'], undefined);
+});
+
+test('接收方返回非 2xx 时按指数退避重试，每次尝试都记入投递日志', async () => {
+    const target = receiver([500, 503]);
+    const manager = createManager('retry');
+    const hook = await manager.add({ url: `${await target.url}/hook` });
+
+    manager.emit('session.expired', { accountId: 'default' });
+    const entries = await waitForLog(manager, items => items.some(entry => entry.status === 'succeeded'));
+
+    assert.deepEqual(entries.map(entry => [entry.attempt, entry.status, entry.statusCode]), [
+        [1, 'retrying', 500],
+        [2, 'retrying', 503],
+        [3, 'succeeded', 200]
+    ]);
+    assert.ok(entries.every(entry => entry.webhookId === hook.id && entry.deliveryId === entries[0].deliveryId));
+
+    // 同一次投递的重试使用相同的 X-Webhook-Id，间隔逐次翻倍
+    const ids = new Set(target.requests.map(request => request.headers['x-webhook-id']));
+    assert.equal(ids.size, 1);
+    const [first, second, third] = target.requests.map(request => request.at);
+    assert.ok(second - first >= 45);
+    assert.ok(third - second >= 95);
+});
+
+test('达到最大尝试次数后放弃，最后一条日志标记为失败', async () => {
+    const target = receiver([500, 500, 500]);
+    const manager = createManager('give-up');
+    await manager.add({ url: `${await target.url}/hook` });
+
+    manager.emit('post.failed', { error: '发送失败' });
+    const entries = await waitForLog(manager, items => items.some(entry => entry.status === 'failed'));
+
+    assert.deepEqual(entries.map(entry => entry.status), ['retrying', 'retrying', 'failed']);
+    assert.equal(entries[2].error, 'HTTP 500');
+    await sleep(300);
+    assert.equal(target.requests.length, 3);
+});